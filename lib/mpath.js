@@ -1,13 +1,122 @@
-const Schema = require('mongoose').Schema;
+const Mongoose = require('mongoose');
+const Schema = Mongoose.Schema;
 const streamWorker = require('stream-worker');
 const _orderBy = require('lodash/orderBy');
 const _intersection = require('lodash/intersection');
+const _chunk = require('lodash/chunk');
+
+/**
+ * Base class of errors raised by the plugin
+ */
+class MpathError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * Raised when a node is assigned itself or one of its descendants as parent
+ */
+class CycleError extends MpathError {}
+
+const mpathErrors = { MpathError, CycleError };
 
 const mpathUtil = {};
 
 mpathUtil.getLevelByPathAndSeparator = (path, separator) =>
   path ? path.split(separator).length : 1;
 
+/**
+ * Escape characters with a special meaning in regular expressions
+ * @param  {String} value [description]
+ * @return {String}       [description]
+ */
+mpathUtil.escapeRegExp = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Resolve the session of an operation, an explicit { session } option takes
+ * precedence over the session attached to the document
+ * @param  {Mongoose.document} doc     [description]
+ * @param  {Object}            options [description]
+ * @return {ClientSession|undefined}   [description]
+ */
+mpathUtil.getSession = (doc, options) =>
+  (options && options.session) || doc.$session() || undefined;
+
+/**
+ * Check if an update document or update pipeline modifies the parent field
+ * @param  {Object|Array} update      [description]
+ * @param  {String}       parentField Name of the parent field, defaults to 'parent'
+ * @return {Boolean}                  [description]
+ */
+mpathUtil.isParentUpdate = (update, parentField) => {
+  const stages = Array.isArray(update) ? update : [update || {}];
+
+  parentField = parentField || 'parent';
+
+  return stages.some((stage) =>
+    Object.keys(stage).some((key) => {
+      const value = stage[key];
+
+      if (
+        parentField === key ||
+        '$replaceRoot' === key ||
+        '$replaceWith' === key
+      ) {
+        return true;
+      }
+
+      if ('$rename' === key) {
+        return Object.keys(value)
+          .concat(Object.values(value))
+          .includes(parentField);
+      }
+
+      if (
+        '$unset' === key &&
+        (typeof value === 'string' || Array.isArray(value))
+      ) {
+        // pipeline stage, { $unset: 'parent' } or { $unset: ['parent'] }
+        return [].concat(value).includes(parentField);
+      }
+
+      return (
+        '$' === key.charAt(0) &&
+        value instanceof Object &&
+        value.hasOwnProperty(parentField)
+      );
+    })
+  );
+};
+
+/**
+ * Get the parent id assigned by an update document
+ * @param  {Object|Array} update      [description]
+ * @param  {String}       parentField Name of the parent field, defaults to 'parent'
+ * @return {*} Parent id, null if unset and undefined if unknown
+ */
+mpathUtil.getUpdatedParent = (update, parentField) => {
+  if (!update || Array.isArray(update)) {
+    return undefined;
+  }
+
+  parentField = parentField || 'parent';
+
+  let value = undefined;
+
+  if (update.$set && update.$set.hasOwnProperty(parentField)) {
+    value = update.$set[parentField];
+  } else if (update.hasOwnProperty(parentField)) {
+    value = update[parentField];
+  } else if (update.$unset && update.$unset.hasOwnProperty(parentField)) {
+    value = null;
+  }
+
+  return value instanceof Object && value._id ? value._id : value;
+};
+
 mpathUtil.mongoSortToLodashSort = (mongoSortObj) => {
   const lodashSortObj = {
     keys: [],
@@ -25,8 +134,18 @@ mpathUtil.mongoSortToLodashSort = (mongoSortObj) => {
   return lodashSortObj;
 };
 
-mpathUtil.listToTree = (list, sort) => {
-  let nodeMap = {};
+/**
+ * Assemble a list of nodes, ordered so that parents precede their children,
+ * into a tree
+ * @param  {Array}  list   [description]
+ * @param  {Object} sort   Mongo sort applied to siblings
+ * @param  {Object} fields { parentField, childrenField }, defaults to 'parent' and 'children'
+ * @return {Array}         Root nodes
+ */
+mpathUtil.listToTree = (list, sort, fields) => {
+  const parentField = (fields && fields.parentField) || 'parent';
+  const childrenField = (fields && fields.childrenField) || 'children';
+  let nodeMap = new Map();
   let currentNode;
   let rootNodes = [];
   let index;
@@ -35,17 +154,20 @@ mpathUtil.listToTree = (list, sort) => {
 
   for (index = 0; index < list.length; index += 1) {
     currentNode = list[index];
-    currentNode.children = [];
-    nodeMap[currentNode._id] = index;
+    currentNode[childrenField] = [];
+    nodeMap.set(String(currentNode._id), index);
 
-    const hasParentInMap = nodeMap.hasOwnProperty(currentNode.parent);
+    const parentKey = currentNode[parentField]
+      ? String(currentNode[parentField])
+      : null;
+    const hasParentInMap = parentKey !== null && nodeMap.has(parentKey);
 
     if (hasParentInMap) {
-      list[nodeMap[currentNode.parent]].children.push(currentNode);
+      list[nodeMap.get(parentKey)][childrenField].push(currentNode);
 
       if (shouldSort) {
-        list[nodeMap[currentNode.parent]].children = _orderBy(
-          list[nodeMap[currentNode.parent]].children,
+        list[nodeMap.get(parentKey)][childrenField] = _orderBy(
+          list[nodeMap.get(parentKey)][childrenField],
           lodashSort.keys,
           lodashSort.orders
         );
@@ -73,308 +195,3505 @@ function mpathPlugin(schema, options) {
   }
 
   const onDelete = (options && options.onDelete) || 'REPARENT'; // or 'DELETE'
+  const parentField = (options && options.parentField) || 'parent';
+  const pathField = (options && options.pathField) || 'path';
+  const childrenField = (options && options.childrenField) || 'children';
+  const levelVirtual = (options && options.levelVirtual) || 'level';
   const idType = (options && options.idType) || Schema.ObjectId;
   const pathSeparator = (options && options.pathSeparator) || '#';
-  const pathSeparatorRegex = '[' + pathSeparator + ']';
+  const pathRewrite = (options && options.pathRewrite) || 'PIPELINE'; // or 'STREAM'
+  const orderField = (options && options.orderField) || null;
+  const depthField = (options && options.depthField) || null;
+  const ancestorsField = (options && options.ancestorsField) || null;
+  const childCountField = (options && options.childCountField) || null;
+  const descendantCountField =
+    (options && options.descendantCountField) || null;
+  const pathEncoding = (options && options.pathEncoding) || 'ID'; // or 'PADDED', 'POSITION'
+  const pathSegmentWidth = (options && options.pathSegmentWidth) || 12;
+  const pathSegment = (options && options.pathSegment) || 'ID'; // or 'TOKEN'
+  const pathTokenField = (options && options.pathTokenField) || 'pathToken';
+  const maxDepth = (options && options.maxDepth) || null;
+  const maxChildren = (options && options.maxChildren) || null;
+  const parentConditions = (options && options.parentConditions) || {};
+  const scopeFields = [].concat((options && options.scope) || []);
+  const onScopeChange = (options && options.onScopeChange) || 'CASCADE'; // or 'REJECT'
 
-  const streamWorkerOptions = {
-    promises: false,
-    concurrency: 5,
-  };
+  if (!['ID', 'PADDED', 'POSITION'].includes(pathEncoding)) {
+    throw new Error(
+      "Invalid mpath options - \"pathEncoding\" must be 'ID', 'PADDED' or 'POSITION'."
+    );
+  }
 
-  schema.add({
-    parent: {
-      index: true,
-      set: (value) =>
-        value instanceof Object && value._id ? value._id : value,
-      type: idType,
-      ref: options.modelName,
-    },
-    path: {
-      index: true,
-      type: String,
-    },
-    children: [],
-  });
+  // moveToPosition() and siblings reorder by orderField, positions never change
+  if ('POSITION' === pathEncoding && orderField) {
+    throw new Error(
+      'Invalid mpath options - "orderField" cannot be used with "pathEncoding" \'POSITION\'.'
+    );
+  }
 
-  /**
-   * Mongoose schema pre save hook
-   * @param  {Function} next [description]
-   */
-  schema.pre('save', function preSave(next) {
-    const hasModifiedParent = this.isModified('parent');
-    const pathUpdateIsRequired = this.isNew || hasModifiedParent;
+  if (!['ID', 'TOKEN'].includes(pathSegment)) {
+    throw new Error(
+      "Invalid mpath options - \"pathSegment\" must be 'ID' or 'TOKEN'."
+    );
+  }
 
-    if (!pathUpdateIsRequired) {
-      return next();
+  if ('TOKEN' === pathSegment && 'ID' !== pathEncoding) {
+    throw new Error(
+      'Invalid mpath options - "pathSegment" \'TOKEN\' requires "pathEncoding" \'ID\'.'
+    );
+  }
+
+  // path segments are ids unless they are sibling positions or tokens
+  const hasIdSegments = 'POSITION' !== pathEncoding && 'TOKEN' !== pathSegment;
+
+  if (!hasIdSegments && ancestorsField) {
+    throw new Error(
+      'Invalid mpath options - "ancestorsField" cannot be used with "pathEncoding" \'POSITION\' or "pathSegment" \'TOKEN\'.'
+    );
+  }
+
+  scopeFields.forEach((field) => {
+    if (!schema.path(field)) {
+      throw new Error(
+        `Invalid mpath options - "scope" field "${field}" is not defined in the schema.`
+      );
     }
+  });
 
-    const self = this;
+  if (!['CASCADE', 'REJECT'].includes(onScopeChange)) {
+    throw new Error(
+      "Invalid mpath options - \"onScopeChange\" must be 'CASCADE' or 'REJECT'."
+    );
+  }
 
-    const updateChildPaths = (pathToReplace, replacementPath) => {
-      const childConditions = {
-        path: { $regex: '^' + pathToReplace + pathSeparatorRegex },
-      };
+  // collection holding the counters path tokens are generated from
+  const tokenCounterCollection = 'mpath_counters';
 
-      const childStream = self.collection.find(childConditions).stream();
+  // temporary field sorting depth first in aggregations
+  const segmentOrderField = '_mpathSegmentOrder';
 
-      const onStreamData = (childDoc, done) => {
-        const newChildPath =
-          replacementPath + childDoc.path.substring(pathToReplace.length);
+  // field path of path in aggregation expressions
+  const pathFieldRef = '$' + pathField;
+  const treeFields = { parentField, childrenField };
 
-        self.collection
-          .updateMany({ _id: childDoc._id }, { $set: { path: newChildPath } })
-          .then(() => done());
-      };
+  const hasCountFields =
+    childCountField !== null || descendantCountField !== null;
 
-      const onStreamClose = (ex) => next(ex);
+  // Smallest string greater than every string starting with pathSeparator,
+  // used as exclusive upper bound of path prefix ranges
+  const pathSeparatorUpperBound = (() => {
+    const lastChar = Array.from(pathSeparator).pop();
+    const codePoint = lastChar.codePointAt(0);
+    // skip the surrogate range, lone surrogates are not valid UTF-8
+    const nextCodePoint = codePoint === 0xd7ff ? 0xe000 : codePoint + 1;
 
-      streamWorker(
-        childStream,
-        onStreamData,
-        streamWorkerOptions,
-        onStreamClose
+    return nextCodePoint > 0x10ffff
+      ? null
+      : pathSeparator.slice(0, -lastChar.length) +
+          String.fromCodePoint(nextCodePoint);
+  })();
+
+  const getLevel = (path) =>
+    mpathUtil.getLevelByPathAndSeparator(path, pathSeparator);
+
+  // Path of the parent of the document at path, empty for root documents
+  const getParentPath = (path) => {
+    const separatorIndex = path.lastIndexOf(pathSeparator);
+    return separatorIndex === -1 ? '' : path.substring(0, separatorIndex);
+  };
+
+  // Paths of the ancestors of the document at path, root first
+  const getAncestorPaths = (path) => {
+    const segments = path.split(pathSeparator);
+
+    return segments
+      .slice(0, -1)
+      .map((segment, index) =>
+        segments.slice(0, index + 1).join(pathSeparator)
       );
-    };
+  };
 
-    const oldPath = self.path;
+  // Id encoded by a path segment, only valid if hasIdSegments
+  const getSegmentId = (segment) => schema.path(parentField).cast(segment);
 
-    if (this.parent) {
-      this.collection
-        .findOne({ _id: this.parent })
-        .then((parentDoc) => {
-          const newPath = parentDoc.path + pathSeparator + self._id.toString();
-          self.path = newPath;
+  // Ids of the document at path and its ancestors, cast to idType
+  const getPathIds = (path) => path.split(pathSeparator).map(getSegmentId);
 
-          if (hasModifiedParent) {
-            // Rewrite child paths when parent is changed
-            updateChildPaths(oldPath, newPath);
-          } else {
-            return next();
-          }
-        })
-        .catch((ex) => next(ex));
-    } else {
-      const newPath = self._id.toString();
-      self.path = newPath;
+  const getAncestorIds = (path) => getPathIds(path).slice(0, -1);
 
-      if (hasModifiedParent) {
-        updateChildPaths(oldPath, newPath);
-      } else {
-        return next();
-      }
-    }
-  });
+  /**
+   * Path segment encoding the id of a document, ids are zero padded to
+   * pathSegmentWidth digits when pathEncoding is 'PADDED'
+   * @param  {*}      id [description]
+   * @return {String}    [description]
+   */
+  const getIdSegment = (id) =>
+    'PADDED' === pathEncoding
+      ? id.toString().padStart(pathSegmentWidth, '0')
+      : id.toString();
+
+  // true if segment is a sibling position encoded by encodePosition()
+  const isPositionSegment = (segment) =>
+    segment.length === pathSegmentWidth && /^[0-9a-z]+$/.test(segment);
 
   /**
-   * Mongoose schema pre remove hook
-   * @param  {Function} next [description]
+   * Encode a sibling position as a fixed width base36 path segment
+   * @param  {Number} position [description]
+   * @return {String}          [description]
    */
-  schema.pre('remove', function preRemove(next) {
-    if (!this.path) {
-      return next();
-    }
+  const encodePosition = (position) => {
+    const segment = position.toString(36);
 
-    if ('DELETE' === onDelete) {
-      const deleteConditions = {
-        path: { $regex: '^' + this.path + pathSeparatorRegex },
-      };
-      this.collection.deleteMany(deleteConditions, next);
-    } else {
-      // 'REPARENT'
-      const parentOfDeletedDoc = this.parent;
-      const childConditions = { parent: this._id };
-      const childCursor = this.model(this.constructor.modelName)
-        .find(childConditions)
-        .cursor();
+    if (segment.length > pathSegmentWidth) {
+      throw new MpathError(
+        `Invalid mpath path - sibling position ${position} exceeds "pathSegmentWidth" ${pathSegmentWidth}.`
+      );
+    }
 
-      const onStreamData = (childDoc, done) => {
-        childDoc.parent = parentOfDeletedDoc;
+    return segment.padStart(pathSegmentWidth, '0');
+  };
 
-        childDoc
-          .save()
-          .then(() => done())
-          .catch((ex) => next(ex));
-      };
+  const decodePosition = (path) =>
+    parseInt(path.split(pathSeparator).pop(), 36);
 
-      const onStreamClose = (ex) => next(ex);
+  const getLastSegment = (node) => node[pathField].split(pathSeparator).pop();
 
-      streamWorker(
-        childCursor,
-        onStreamData,
-        streamWorkerOptions,
-        onStreamClose
-      );
+  // true if the last path segment of node is valid for its id
+  const hasValidPathEnd = (node) => {
+    if (!node[pathField]) {
+      return false;
     }
-  });
 
-  schema.virtual('level').get(function virtualPropLevel() {
-    return mpathUtil.getLevelByPathAndSeparator(this.path, pathSeparator);
-  });
+    if ('POSITION' === pathEncoding) {
+      return isPositionSegment(getLastSegment(node));
+    }
 
-  schema.methods.getImmediateChildren = function getImmediateChildren(
-    conditions,
-    fields,
-    options
-  ) {
-    conditions = conditions || {};
-    fields = fields || null;
-    options = options || {};
+    return 'TOKEN' === pathSegment
+      ? getLastSegment(node) === node[pathTokenField]
+      : getLastSegment(node) === getIdSegment(node._id);
+  };
 
-    conditions['parent'] = this._id;
+  // Fields to set along with a new path
+  const getPathFields = (path) => {
+    const pathFields = { [pathField]: path };
 
-    return this.model(this.constructor.modelName).find(
-      conditions,
-      fields,
-      options
-    );
-  };
+    if (depthField) {
+      pathFields[depthField] = getLevel(path);
+    }
 
-  schema.methods.getAllChildren = function getAllChildren(
-    conditions,
-    fields,
-    options
-  ) {
-    conditions = conditions || {};
-    fields = fields || null;
-    options = options || {};
+    if (ancestorsField) {
+      pathFields[ancestorsField] = getAncestorIds(path);
+    }
 
-    conditions['path'] = { $regex: '^' + this.path + pathSeparatorRegex };
+    if ('TOKEN' === pathSegment) {
+      pathFields[pathTokenField] = path.split(pathSeparator).pop();
+    }
 
-    return this.model(this.constructor.modelName).find(
-      conditions,
-      fields,
-      options
-    );
+    return pathFields;
   };
 
+  // true if the fields derived from path are missing or outdated
+  const hasStalePathFields = (node, path) =>
+    node[pathField] !== path ||
+    (depthField !== null && node[depthField] !== getLevel(path)) ||
+    (ancestorsField !== null &&
+      (node[ancestorsField] || []).map(String).join(pathSeparator) !==
+        getAncestorIds(path).map(String).join(pathSeparator)) ||
+    ('TOKEN' === pathSegment &&
+      node[pathTokenField] !== path.split(pathSeparator).pop());
+
   /**
-   * Get parent document
-   * @param  {String} fields  [description]
-   * @param  {Object} options [description]
-   * @return {Prromise.<Mongoose.document>} [description]
+   * Condition on path matching all descendants of the document at path, as a
+   * range on the path index
+   * @param  {String} path [description]
+   * @return {Object}      [description]
    */
-  schema.methods.getParent = function getParent(fields, options) {
-    const conditions = { _id: this.parent };
+  const getDescendantPathCondition = (path) =>
+    pathSeparatorUpperBound
+      ? {
+          $gte: path + pathSeparator,
+          $lt: path + pathSeparatorUpperBound,
+        }
+      : { $regex: '^' + mpathUtil.escapeRegExp(path + pathSeparator) };
 
-    fields = fields || null;
-    options = options || {};
+  // Scope values of a document or query conditions, documents without a
+  // scope value are in the null scope
+  const getScopeConditions = (source) =>
+    scopeFields.reduce((conditions, field) => {
+      if (!(source instanceof Mongoose.Document)) {
+        conditions[field] = source[field];
+      } else if (source.isSelected(field)) {
+        const value = source.get(field);
+        conditions[field] = value === undefined ? null : value;
+      }
+      return conditions;
+    }, {});
 
-    return this.model(this.constructor.modelName).findOne(
-      conditions,
-      fields,
-      options
+  // Statics querying several trees must be given the scope to query
+  const assertScopeConditions = (conditions) => {
+    const missingField = scopeFields.find(
+      (field) => conditions[field] === undefined
     );
-  };
 
-  schema.methods.getAncestors = function getAncestors(
-    conditions,
-    fields,
-    options
-  ) {
-    conditions = conditions || {};
-    fields = fields || null;
-    options = options || {};
+    if (missingField) {
+      throw new MpathError(
+        `Invalid mpath scope - conditions must include the scope field "${missingField}".`
+      );
+    }
+  };
 
-    let ancestorIds = [];
+  // true if both documents belong to the same scope
+  const isSameScope = (node, otherNode) => {
+    const scope = getScopeConditions(node);
+    const otherScope = getScopeConditions(otherNode);
 
-    if (this.path) {
-      ancestorIds = this.path.split(pathSeparator);
-      ancestorIds.pop();
-    }
+    return scopeFields.every(
+      (field) =>
+        String(scope[field] === undefined ? null : scope[field]) ===
+        String(otherScope[field] === undefined ? null : otherScope[field])
+    );
+  };
 
-    conditions['_id'] = { $in: ancestorIds };
+  // Conditions matching all descendants of a document
+  const getDescendantConditions = (node) =>
+    ancestorsField
+      ? { [ancestorsField]: node._id }
+      : { [pathField]: getDescendantPathCondition(node[pathField]) };
 
-    return this.model(this.constructor.modelName)
-      .find(conditions, fields, options)
-      .then((result) => {
-        if (options.hasOwnProperty('sort')) {
-          return result;
-        }
+  // Conditions matching documents at a level, root documents are at level 1
+  const getLevelConditions = (level) =>
+    depthField
+      ? { [depthField]: level }
+      : {
+          $expr: {
+            $eq: [
+              {
+                $size: {
+                  $split: [{ $ifNull: [pathFieldRef, ''] }, pathSeparator],
+                },
+              },
+              level,
+            ],
+          },
+        };
 
-        const resultIds = result.map((node) => node._id.toString());
-        const resultAncestorIds = _intersection(ancestorIds, resultIds);
-        return resultAncestorIds.map((id) =>
-          result.find((node) => node._id.toString() === id)
-        );
-      });
+  const streamWorkerOptions = {
+    promises: false,
+    concurrency: 5,
   };
 
+  // ids per $in or $or query, keeps queries of large deletes below the BSON
+  // document size limit
+  const queryBatchSize = 1000;
+
+  // operations within a transaction must not run in parallel, neither must
+  // saves assigning sibling positions
+  const getStreamWorkerOptions = (session) =>
+    session || orderField || 'POSITION' === pathEncoding
+      ? Object.assign({}, streamWorkerOptions, { concurrency: 1 })
+      : streamWorkerOptions;
+
   /**
-   * Returns tree of child documents
-   * @param  {Object} args [description]
-   * @return {Promise.<Object>} [description]
+   * Rewrite the paths of all descendants of a moved document
+   * @param  {Collection}    collection      [description]
+   * @param  {String}        pathToReplace   Path of the document before the move
+   * @param  {String}        replacementPath Path of the document after the move
+   * @param  {ClientSession} session         [description]
+   * @return {Promise.<Number>}              Number of updated descendants
    */
-  schema.statics.getChildrenTree = function getChildrenTree(args) {
-    const rootDoc = args && args.rootDoc ? args.rootDoc : null;
-    let fields = args && args.fields ? args.fields : null;
-    let filters = args && args.filters ? args.filters : {};
-    let minLevel = args && args.minLevel ? args.minLevel : 1;
-    let maxLevel = args && args.maxLevel ? args.maxLevel : 9999;
-    let options = args && args.options ? args.options : {};
-    let populateStr = args && args.populate ? args.populate : '';
+  const updateChildPaths = (
+    collection,
+    pathToReplace,
+    replacementPath,
+    session
+  ) => {
+    const childConditions = {
+      [pathField]: getDescendantPathCondition(pathToReplace),
+    };
 
-    // filters
-    if (rootDoc) {
-      filters.path = { $regex: '^' + rootDoc.path + pathSeparator };
-    }
+    if ('STREAM' !== pathRewrite) {
+      // Replace the old path prefix of every descendant in a single round trip
+      const pathUpdate = [
+        {
+          $set: {
+            [pathField]: {
+              $concat: [
+                replacementPath,
+                {
+                  $substrCP: [
+                    pathFieldRef,
+                    Array.from(pathToReplace).length,
+                    { $strLenCP: pathFieldRef },
+                  ],
+                },
+              ],
+            },
+          },
+        },
+      ];
 
-    // fields
-    // include 'path' and 'parent' if not already included
-    if (fields) {
-      if (fields instanceof Object) {
-        if (!fields.hasOwnProperty('path')) {
-          fields['path'] = 1;
-        }
-        if (!fields.hasOwnProperty('parent')) {
-          fields['parent'] = 1;
-        }
-      } else {
-        if (!fields.match(/path/)) {
-          fields += ' path';
-        }
-        if (!fields.match(/parent/)) {
-          fields += ' parent';
-        }
+      if (depthField) {
+        pathUpdate.push({
+          $set: {
+            [depthField]: { $size: { $split: [pathFieldRef, pathSeparator] } },
+          },
+        });
       }
-    }
 
-    // options:sort
-    // passed options.sort is applied after entries are fetched from database
-    let postSortObj = {};
+      if (ancestorsField) {
+        // Replace the ancestors up to and including the moved document
+        const savedAncestors = { $ifNull: ['$' + ancestorsField, []] };
 
-    if (options.sort) {
-      postSortObj = options.sort;
+        pathUpdate.push({
+          $set: {
+            [ancestorsField]: {
+              $concatArrays: [
+                { $literal: getPathIds(replacementPath) },
+                {
+                  $slice: [
+                    savedAncestors,
+                    getLevel(pathToReplace),
+                    { $max: [{ $size: savedAncestors }, 1] },
+                  ],
+                },
+              ],
+            },
+          },
+        });
+      }
+
+      return collection
+        .updateMany(childConditions, pathUpdate, { session })
+        .then((result) => result.matchedCount);
     }
 
-    options.sort = { path: 1 };
+    return new Promise((resolve, reject) => {
+      let updateCount = 0;
 
-    return this.find(filters, fields, options)
-      .populate(populateStr)
-      .then((result) =>
-        result.filter((node) => {
-          const level = mpathUtil.getLevelByPathAndSeparator(
-            node.path,
-            pathSeparator
-          );
-          return level >= minLevel && level <= maxLevel;
-        })
-      )
-      .then((result) => mpathUtil.listToTree(result, postSortObj))
-      .catch((err) => console.error(err));
-  };
+      const childStream = collection
+        .find(childConditions, { session })
+        .stream();
 
-  /**
-   * Static method of getChildrenTree schema
-   * @param  {Object} args [description]
-   * @return {Promise.<Mongoose.document>}      [description]
-   */
-  schema.methods.getChildrenTree = function (args) {
-    args.rootDoc = this;
+      const onStreamData = (childDoc, done) => {
+        const newChildPath =
+          replacementPath + childDoc[pathField].substring(pathToReplace.length);
+
+        collection
+          .updateMany(
+            { _id: childDoc._id },
+            { $set: getPathFields(newChildPath) },
+            { session }
+          )
+          .then(() => {
+            updateCount += 1;
+            done();
+          }, done);
+      };
+
+      const onStreamClose = (ex) => (ex ? reject(ex) : resolve(updateCount));
+
+      streamWorker(
+        childStream,
+        onStreamData,
+        getStreamWorkerOptions(session),
+        onStreamClose
+      );
+    });
+  };
+
+  /**
+   * Find the ids of the ancestors of the document at path, root first
+   * @param  {Collection}    collection [description]
+   * @param  {String}        path       [description]
+   * @param  {ClientSession} session    [description]
+   * @return {Promise.<Array>}          [description]
+   */
+  const findAncestorIds = async (collection, path, session) => {
+    if (hasIdSegments) {
+      return getAncestorIds(path);
+    }
+
+    // segments are not ids, look the ancestors up by path
+    const ancestors = await collection
+      .find(
+        { [pathField]: { $in: getAncestorPaths(path) } },
+        { session, projection: { [pathField]: 1 } }
+      )
+      .toArray();
+
+    return _orderBy(ancestors, (node) => node[pathField].length).map(
+      (node) => node._id
+    );
+  };
+
+  /**
+   * Update the cached counts of the ancestors of a subtree that has been
+   * inserted, moved or removed
+   * @param  {Collection}    collection [description]
+   * @param  {String}        oldPath    Path of the subtree root before, null if inserted
+   * @param  {String}        newPath    Path of the subtree root after, null if removed
+   * @param  {Number}        size       Number of documents in the subtree
+   * @param  {ClientSession} session    [description]
+   * @return {Promise}                  [description]
+   */
+  const updateTreeCounts = async (
+    collection,
+    oldPath,
+    newPath,
+    size,
+    session
+  ) => {
+    if (!hasCountFields) {
+      return;
+    }
+
+    const oldAncestorIds = oldPath
+      ? await findAncestorIds(collection, oldPath, session)
+      : [];
+    const newAncestorIds = newPath
+      ? await findAncestorIds(collection, newPath, session)
+      : [];
+    const countOps = [];
+
+    const incrementCount = (ids, field, value) => {
+      if (ids.length > 0) {
+        countOps.push({
+          updateMany: {
+            filter: { _id: { $in: ids } },
+            update: { $inc: { [field]: value } },
+          },
+        });
+      }
+    };
+
+    if (childCountField) {
+      const oldParentIds = oldAncestorIds.slice(-1);
+      const newParentIds = newAncestorIds.slice(-1);
+
+      if (!isSameParent(oldParentIds[0], newParentIds[0])) {
+        incrementCount(oldParentIds, childCountField, -1);
+        incrementCount(newParentIds, childCountField, 1);
+      }
+    }
+
+    if (descendantCountField) {
+      // counts of ancestors shared by both paths are unchanged
+      const excludeIds = (ids, otherIds) =>
+        ids.filter((id) => !otherIds.map(String).includes(String(id)));
+
+      incrementCount(
+        excludeIds(oldAncestorIds, newAncestorIds),
+        descendantCountField,
+        -size
+      );
+      incrementCount(
+        excludeIds(newAncestorIds, oldAncestorIds),
+        descendantCountField,
+        size
+      );
+    }
+
+    if (countOps.length > 0) {
+      await collection.bulkWrite(countOps, { session });
+    }
+  };
+
+  // Conditions matching the children of parent, or root documents, within
+  // the scope of node
+  const getSiblingConditions = (parent, node) => {
+    const conditions = node ? getScopeConditions(node) : {};
+
+    Object.keys(conditions).forEach((field) => {
+      conditions[field] =
+        conditions[field] === undefined ? null : conditions[field];
+    });
+    conditions[parentField] = parent ? parent : { $in: [null, ''] };
+
+    return conditions;
+  };
+
+  // Projection of the fields selecting the siblings of stored documents
+  const getSiblingProjection = () =>
+    scopeFields.reduce(
+      (projection, field) => {
+        projection[field] = 1;
+        return projection;
+      },
+      { [parentField]: 1, [orderField]: 1 }
+    );
+
+  const isSameParent = (parent, otherParent) =>
+    String(parent || '') === String(otherParent || '');
+
+  const assertOrderField = () => {
+    if (!orderField) {
+      throw new MpathError(
+        'Invalid mpath options - "orderField" is required for sibling ordering.'
+      );
+    }
+  };
+
+  /**
+   * Count the siblings of node which have a position
+   * @param  {Collection}    collection [description]
+   * @param  {Object}        node       Document with the parent and scope
+   * @param  {ClientSession} session    [description]
+   * @return {Promise.<Number>}         [description]
+   */
+  const countPositionedSiblings = (collection, node, session) =>
+    collection.countDocuments(
+      Object.assign(getSiblingConditions(node[parentField], node), {
+        _id: { $ne: node._id },
+        [orderField]: { $type: 'number' },
+      }),
+      { session }
+    );
+
+  /**
+   * Shift the positions of the siblings matched by conditions to close the
+   * gaps left by documents which have been moved or removed
+   * @param  {Collection}    collection [description]
+   * @param  {Object}        conditions Sibling conditions
+   * @param  {Array}         positions  Positions of the moved or removed documents
+   * @param  {ClientSession} session    [description]
+   * @return {Promise}                  [description]
+   */
+  const closeSiblingGaps = (collection, conditions, positions, session) => {
+    const sortedPositions = positions
+      .filter((position) => typeof position === 'number')
+      .sort((a, b) => a - b);
+
+    if (sortedPositions.length === 0) {
+      return Promise.resolve();
+    }
+
+    const operations = sortedPositions.map((position, index) => {
+      const range = { $gt: position };
+
+      if (index + 1 < sortedPositions.length) {
+        range.$lt = sortedPositions[index + 1];
+      }
+
+      return {
+        updateMany: {
+          filter: Object.assign({}, conditions, {
+            [orderField]: range,
+          }),
+          update: { $inc: { [orderField]: -(index + 1) } },
+        },
+      };
+    });
+
+    return collection.bulkWrite(operations, { session });
+  };
+
+  /**
+   * Group documents by parent and scope and close the gaps they left among
+   * their former siblings
+   * @param  {Collection}    collection [description]
+   * @param  {Array}         nodes      [description]
+   * @param  {ClientSession} session    [description]
+   * @return {Promise}                  [description]
+   */
+  const closeSiblingGapsOfNodes = async (collection, nodes, session) => {
+    const nodesBySiblings = new Map();
+
+    nodes.forEach((node) => {
+      const conditions = getSiblingConditions(node[parentField], node);
+      const key = JSON.stringify(conditions);
+
+      if (!nodesBySiblings.has(key)) {
+        nodesBySiblings.set(key, { conditions, positions: [] });
+      }
+
+      nodesBySiblings.get(key).positions.push(node[orderField]);
+    });
+
+    for (const { conditions, positions } of nodesBySiblings.values()) {
+      await closeSiblingGaps(collection, conditions, positions, session);
+    }
+  };
+
+  /**
+   * Move documents whose parent or scope has been changed by a query to the
+   * end of their new siblings
+   * @param  {Collection}    collection [description]
+   * @param  {Array}         nodes      Documents as matched before the update
+   * @param  {ClientSession} session    [description]
+   * @return {Promise}                  [description]
+   */
+  const updateMovedNodesOrder = async (collection, nodes, session) => {
+    const savedNodes = await collection
+      .find(
+        { _id: { $in: nodes.map((node) => node._id) } },
+        { session, projection: getSiblingProjection() }
+      )
+      .toArray();
+
+    const movedNodes = nodes.filter((node) =>
+      savedNodes.some(
+        (savedNode) =>
+          savedNode._id.toString() === node._id.toString() &&
+          (!isSameParent(savedNode[parentField], node[parentField]) ||
+            !isSameScope(savedNode, node))
+      )
+    );
+
+    if (movedNodes.length === 0) {
+      return;
+    }
+
+    await closeSiblingGapsOfNodes(collection, movedNodes, session);
+    await collection.updateMany(
+      { _id: { $in: movedNodes.map((node) => node._id) } },
+      { $unset: { [orderField]: '' } },
+      { session }
+    );
+
+    for (const node of movedNodes) {
+      const savedNode = savedNodes.find(
+        (other) => other._id.toString() === node._id.toString()
+      );
+      const position = await countPositionedSiblings(
+        collection,
+        savedNode,
+        session
+      );
+
+      await collection.updateOne(
+        { _id: node._id },
+        { $set: { [orderField]: position } },
+        { session }
+      );
+    }
+  };
+
+  /**
+   * Assign the position of a new or moved document among its siblings, it
+   * is appended unless a position has been set explicitly
+   * @param  {Mongoose.document} doc     [description]
+   * @param  {ClientSession}     session [description]
+   * @return {Promise}                   [description]
+   */
+  const updateSiblingOrder = async (doc, session) => {
+    const collection = doc.collection;
+    const requestedPosition = doc.isModified(orderField)
+      ? doc.get(orderField)
+      : null;
+
+    if (!doc.isNew) {
+      const savedDoc = await collection.findOne(
+        { _id: doc._id },
+        { session, projection: getSiblingProjection() }
+      );
+
+      if (savedDoc) {
+        await closeSiblingGapsOfNodes(collection, [savedDoc], session);
+      }
+    }
+
+    const siblingCount = await countPositionedSiblings(
+      collection,
+      doc,
+      session
+    );
+
+    let position = siblingCount;
+
+    if (typeof requestedPosition === 'number') {
+      position = Math.max(0, Math.min(requestedPosition, siblingCount));
+
+      await collection.updateMany(
+        Object.assign(getSiblingConditions(doc[parentField], doc), {
+          _id: { $ne: doc._id },
+          [orderField]: { $gte: position },
+        }),
+        { $inc: { [orderField]: 1 } },
+        { session }
+      );
+    }
+
+    doc.set(orderField, position);
+  };
+
+  /**
+   * Move a document next to a sibling, changing its parent if required
+   * @param  {Mongoose.document} doc     [description]
+   * @param  {Mongoose.document} sibling [description]
+   * @param  {Number}            offset  0 to move before, 1 to move after sibling
+   * @param  {Object}            options [description]
+   * @return {Promise.<Mongoose.document>} [description]
+   */
+  const moveNextToSibling = async (doc, sibling, offset, options) => {
+    assertOrderField();
+
+    const session = mpathUtil.getSession(doc, options);
+    const projection = { [parentField]: 1, [orderField]: 1 };
+    const savedSibling = await doc.collection.findOne(
+      { _id: sibling._id },
+      { session, projection }
+    );
+
+    if (!savedSibling) {
+      throw new MpathError('Invalid mpath sibling - sibling does not exist.');
+    }
+
+    if (savedSibling._id.toString() === doc._id.toString()) {
+      return doc;
+    }
+
+    if (!isSameParent(doc[parentField], savedSibling[parentField])) {
+      doc[parentField] = savedSibling[parentField];
+      await doc.save({ session });
+    }
+
+    const savedDoc = await doc.collection.findOne(
+      { _id: doc._id },
+      { session, projection }
+    );
+
+    let position = savedSibling[orderField] + offset;
+
+    if (savedDoc[orderField] < savedSibling[orderField]) {
+      position -= 1;
+    }
+
+    return doc.moveToPosition(position, { session });
+  };
+
+  /**
+   * Build the path of a document from the path of its parent
+   * @param  {String} parentPath Path of parent, empty for root documents
+   * @param  {String} segment    Path segment of the document
+   * @return {String}            [description]
+   */
+  const buildPath = (parentPath, segment) =>
+    parentPath ? parentPath + pathSeparator + segment : segment;
+
+  /**
+   * Reserve path tokens from the counter of a collection
+   * @param  {Collection}    collection [description]
+   * @param  {Number}        count      [description]
+   * @param  {ClientSession} session    [description]
+   * @param  {Boolean}       dryRun     true to read the counter without incrementing it
+   * @return {Promise.<Array>}          Tokens, base36 encoded counter values
+   */
+  const reserveTokens = async (collection, count, session, dryRun) => {
+    const counters = collection.conn.collection(tokenCounterCollection);
+    const counterId = collection.collectionName;
+    let lastValue;
+
+    if (dryRun) {
+      const counter = await counters.findOne({ _id: counterId }, { session });
+      lastValue = (counter ? counter.seq : 0) + count;
+    } else {
+      const result = await counters.findOneAndUpdate(
+        { _id: counterId },
+        { $inc: { seq: count } },
+        { upsert: true, returnDocument: 'after', session }
+      );
+      lastValue = result.value.seq;
+    }
+
+    return Array.from({ length: count }, (value, index) =>
+      (lastValue - count + 1 + index).toString(36)
+    );
+  };
+
+  /**
+   * Get the path segment of a document, see pathEncoding and pathSegment.
+   * With 'POSITION' the document is appended to the children of its parent,
+   * with 'TOKEN' it keeps its token once assigned.
+   * @param  {Collection}    collection [description]
+   * @param  {Object}        node       Document with _id and parent
+   * @param  {ClientSession} session    [description]
+   * @return {Promise.<String>}         [description]
+   */
+  const getPathSegment = async (collection, node, session) => {
+    if ('TOKEN' === pathSegment) {
+      return node[pathTokenField]
+        ? node[pathTokenField]
+        : (await reserveTokens(collection, 1, session))[0];
+    }
+
+    if ('PADDED' === pathEncoding) {
+      const segment = getIdSegment(node._id);
+
+      if (!/^[0-9]+$/.test(segment) || segment.length > pathSegmentWidth) {
+        throw new MpathError(
+          `Invalid mpath id - padded path segments require non-negative integer ids of at most ${pathSegmentWidth} digits.`
+        );
+      }
+
+      return segment;
+    }
+
+    if ('POSITION' !== pathEncoding) {
+      const segment = getIdSegment(node._id);
+
+      if (segment.includes(pathSeparator)) {
+        throw new MpathError(
+          `Invalid mpath id - ids cannot contain the path separator "${pathSeparator}".`
+        );
+      }
+
+      return segment;
+    }
+
+    // descendants are selected by path, so root positions are allocated over
+    // all scopes to keep paths unique
+    const [lastSibling] = await collection
+      .find(
+        Object.assign(getSiblingConditions(node[parentField]), {
+          _id: { $ne: node._id },
+          [pathField]: { $type: 'string' },
+        }),
+        { session, projection: { [pathField]: 1 } }
+      )
+      .sort({ [pathField]: -1 })
+      .limit(1)
+      .toArray();
+
+    return encodePosition(
+      lastSibling ? decodePosition(lastSibling[pathField]) + 1 : 0
+    );
+  };
+
+  // true if parentDoc is the document itself or one of its descendants
+  const isCyclicParent = (parentDoc, node) =>
+    !hasIdSegments
+      ? Boolean(node[pathField]) &&
+        (parentDoc[pathField] === node[pathField] ||
+          parentDoc[pathField].startsWith(node[pathField] + pathSeparator))
+      : parentDoc[pathField]
+          .split(pathSeparator)
+          .includes(getIdSegment(node._id));
+
+  /**
+   * Find documents matched by the filter of an update or delete query,
+   * ordered by level so that ancestors are processed before descendants
+   * @param  {Model}         model      [description]
+   * @param  {Object}        filter     [description]
+   * @param  {Boolean}       isSingle   true if the query affects one document
+   * @param  {Object}        sort       Sort used to pick a single document
+   * @param  {ClientSession} session    [description]
+   * @param  {Boolean}       allFields  true to load whole documents
+   * @return {Promise.<Array>}          [description]
+   */
+  const findMatchedNodes = (
+    model,
+    filter,
+    isSingle,
+    sort,
+    session,
+    allFields
+  ) => {
+    const fields = { _id: 1, [parentField]: 1, [pathField]: 1 };
+
+    scopeFields.forEach((field) => {
+      fields[field] = 1;
+    });
+
+    if (orderField) {
+      fields[orderField] = 1;
+    }
+
+    if ('TOKEN' === pathSegment) {
+      fields[pathTokenField] = 1;
+    }
+
+    const query = model
+      .find(filter, allFields ? null : fields)
+      .session(session || null)
+      .lean();
+
+    if (isSingle && sort) {
+      query.sort(sort);
+    }
+
+    if (isSingle) {
+      query.limit(1);
+    }
+
+    return query.then((nodes) =>
+      _orderBy(nodes, (node) =>
+        mpathUtil.getLevelByPathAndSeparator(node[pathField], pathSeparator)
+      )
+    );
+  };
+
+  // Value of maxDepth or maxChildren, a number or a function of the parent
+  const getLimit = (limit, parentDoc) =>
+    typeof limit === 'function' ? limit(parentDoc) : limit;
+
+  /**
+   * Count the levels of the subtree below the document at path
+   * @param  {Collection}    collection [description]
+   * @param  {String}        path       [description]
+   * @param  {ClientSession} session    [description]
+   * @return {Promise.<Number>}         0 for leaves
+   */
+  const getSubtreeHeight = async (collection, path, session) => {
+    const [deepest] = await collection
+      .aggregate(
+        [
+          { $match: { [pathField]: getDescendantPathCondition(path) } },
+          {
+            $group: {
+              _id: null,
+              level: {
+                $max: depthField
+                  ? '$' + depthField
+                  : { $size: { $split: [pathFieldRef, pathSeparator] } },
+              },
+            },
+          },
+        ],
+        { session }
+      )
+      .toArray();
+
+    return deepest ? deepest.level - getLevel(path) : 0;
+  };
+
+  /**
+   * Reject parents which would exceed maxDepth with the subtrees of the moved
+   * documents, or maxChildren with the moved documents
+   * @param  {Collection}    collection [description]
+   * @param  {Object}        parentDoc  [description]
+   * @param  {Array}         nodes      Moved documents, as currently stored
+   * @param  {ClientSession} session    [description]
+   * @return {Promise}                  [description]
+   */
+  const assertParentLimits = async (collection, parentDoc, nodes, session) => {
+    const depthLimit = getLimit(maxDepth, parentDoc);
+
+    if (depthLimit) {
+      for (const node of nodes) {
+        const subtreeHeight = node[pathField]
+          ? await getSubtreeHeight(collection, node[pathField], session)
+          : 0;
+        const depth = getLevel(parentDoc[pathField]) + 1 + subtreeHeight;
+
+        if (depth > depthLimit) {
+          throw new MpathError(
+            `Invalid mpath parent - the maximum depth of ${depthLimit} levels is exceeded.`
+          );
+        }
+      }
+    }
+
+    const childrenLimit = getLimit(maxChildren, parentDoc);
+
+    if (childrenLimit) {
+      let childCount = await collection.countDocuments(
+        { [parentField]: parentDoc._id },
+        { session }
+      );
+
+      // moved documents which are children already are not added
+      for (const batch of _chunk(nodes, queryBatchSize)) {
+        childCount -= await collection.countDocuments(
+          {
+            [parentField]: parentDoc._id,
+            _id: { $in: batch.map((node) => node._id) },
+          },
+          { session }
+        );
+      }
+
+      if (childCount + nodes.length > childrenLimit) {
+        throw new MpathError(
+          `Invalid mpath parent - the maximum of ${childrenLimit} children is exceeded.`
+        );
+      }
+    }
+  };
+
+  // parentConditions are applied to the documents of update queries with
+  // all their fields
+  const hasParentConditionsFunction = typeof parentConditions === 'function';
+
+  const getParentConditions = (node) =>
+    hasParentConditionsFunction ? parentConditions(node) : parentConditions;
+
+  /**
+   * Find the new parent of a document, null if it does not exist or does not
+   * match parentConditions
+   * @param  {Model}         model    [description]
+   * @param  {*}             parentId [description]
+   * @param  {Object}        node     Document with its new values
+   * @param  {ClientSession} session  [description]
+   * @return {Promise.<Mongoose.document>} [description]
+   */
+  const findParent = (model, parentId, node, session) =>
+    model
+      .findOne(Object.assign({}, getParentConditions(node), { _id: parentId }))
+      .session(session || null);
+
+  /**
+   * Values of a matched document after an update, pipeline updates are not
+   * applied
+   * @param  {Object}       node      Document as matched before the update
+   * @param  {Object|Array} update    [description]
+   * @param  {Boolean}      isReplace true if update is a replacement document
+   * @return {Object}                 [description]
+   */
+  const getUpdatedNode = (node, update, isReplace) => {
+    if (isReplace) {
+      return Object.assign({}, update, { _id: node._id });
+    }
+
+    if (Array.isArray(update)) {
+      return node;
+    }
+
+    const updatedNode = Object.assign({}, node, update.$set);
+
+    Object.keys(update)
+      .filter((key) => !key.startsWith('$'))
+      .forEach((key) => {
+        updatedNode[key] = update[key];
+      });
+
+    return updatedNode;
+  };
+
+  /**
+   * Reject updates assigning a missing parent, one not matching
+   * parentConditions, of another scope, creating a cycle or exceeding
+   * maxDepth or maxChildren
+   * @param  {Model}         model     [description]
+   * @param  {Array}         nodes     Documents matched by the update
+   * @param  {Object|Array}  update    [description]
+   * @param  {Boolean}       isReplace [description]
+   * @param  {ClientSession} session   [description]
+   * @return {Promise}                 [description]
+   */
+  const validateUpdatedParent = async (
+    model,
+    nodes,
+    update,
+    isReplace,
+    session
+  ) => {
+    const parentId = mpathUtil.getUpdatedParent(update, parentField);
+
+    if (!parentId || nodes.length === 0) {
+      return;
+    }
+
+    // documents sharing parentConditions share the parent lookup
+    const parentDocs = new Map();
+    let parentDoc;
+
+    for (const node of nodes) {
+      const updatedNode = getUpdatedNode(node, update, isReplace);
+      const key = JSON.stringify(getParentConditions(updatedNode));
+
+      if (!parentDocs.has(key)) {
+        parentDocs.set(
+          key,
+          await findParent(model, parentId, updatedNode, session)
+        );
+      }
+
+      parentDoc = parentDocs.get(key);
+
+      if (!parentDoc) {
+        throw new MpathError('Invalid mpath parent - parent does not exist.');
+      }
+
+      if (!isSameScope(parentDoc, updatedNode)) {
+        throw new MpathError(
+          'Invalid mpath parent - the parent belongs to another scope.'
+        );
+      }
+
+      if (isCyclicParent(parentDoc, node)) {
+        throw new CycleError(
+          'Invalid mpath parent - a node cannot be moved below itself or one of its descendants.'
+        );
+      }
+    }
+
+    await assertParentLimits(model.collection, parentDoc, nodes, session);
+  };
+
+  /**
+   * Reject scope changes of documents whose parent stays in another scope, or
+   * of documents with descendants when onScopeChange is 'REJECT'
+   * @param  {Model}         model     [description]
+   * @param  {Array}         nodes     Documents matched by the update
+   * @param  {Object|Array}  update    [description]
+   * @param  {Boolean}       isReplace [description]
+   * @param  {ClientSession} session   [description]
+   * @return {Promise}                 [description]
+   */
+  const validateUpdatedScope = async (
+    model,
+    nodes,
+    update,
+    isReplace,
+    session
+  ) => {
+    const collection = model.collection;
+    const matchedIds = new Set(nodes.map((node) => String(node._id)));
+    const isParentUpdate =
+      isReplace || mpathUtil.isParentUpdate(update, parentField);
+
+    for (const node of nodes) {
+      const updatedNode = getUpdatedNode(node, update, isReplace);
+
+      if (isSameScope(updatedNode, node)) {
+        continue;
+      }
+
+      if ('REJECT' === onScopeChange && node[pathField]) {
+        const hasDescendants = await collection.findOne(
+          { [pathField]: getDescendantPathCondition(node[pathField]) },
+          { projection: { _id: 1 }, session }
+        );
+
+        if (hasDescendants) {
+          throw new MpathError(
+            'Invalid mpath scope - documents with descendants cannot change scope.'
+          );
+        }
+      }
+
+      // new parents are checked by validateUpdatedParent(), parents matched
+      // by the same update change scope as well
+      if (
+        isParentUpdate ||
+        !node[parentField] ||
+        matchedIds.has(String(node[parentField]))
+      ) {
+        continue;
+      }
+
+      const parentDoc = await collection.findOne(
+        { _id: node[parentField] },
+        { session }
+      );
+
+      if (!parentDoc || !isSameScope(parentDoc, updatedNode)) {
+        throw new MpathError(
+          'Invalid mpath scope - the parent belongs to another scope.'
+        );
+      }
+    }
+  };
+
+  /**
+   * Move the descendants of documents whose scope has been changed by a
+   * query along to the new scope
+   * @param  {Model}         model   [description]
+   * @param  {Array}         nodes   Documents as matched before the update
+   * @param  {ClientSession} session [description]
+   * @return {Promise}               [description]
+   */
+  const updateNodeScopes = async (model, nodes, session) => {
+    const collection = model.collection;
+
+    for (const node of nodes) {
+      const storedNode = await collection.findOne(
+        { _id: node._id },
+        { session }
+      );
+
+      if (
+        !storedNode ||
+        !storedNode[pathField] ||
+        isSameScope(storedNode, node)
+      ) {
+        continue;
+      }
+
+      const scope = getScopeConditions(storedNode);
+
+      scopeFields.forEach((field) => {
+        scope[field] = scope[field] === undefined ? null : scope[field];
+      });
+
+      await collection.updateMany(
+        { [pathField]: getDescendantPathCondition(storedNode[pathField]) },
+        { $set: scope },
+        { session }
+      );
+    }
+  };
+
+  /**
+   * Recompute the paths of documents whose parent has been changed by a query
+   * and rewrite the paths of their descendants
+   * @param  {Model}         model   [description]
+   * @param  {Array}         nodes   Documents as matched before the update
+   * @param  {ClientSession} session [description]
+   * @return {Promise}               [description]
+   */
+  const updateNodePaths = async (model, nodes, session) => {
+    const collection = model.collection;
+
+    for (const matchedNode of nodes) {
+      const storedNode = await collection.findOne(
+        { _id: matchedNode._id },
+        { session }
+      );
+
+      if (!storedNode) {
+        continue;
+      }
+
+      // the stored path is current when ancestors moved by the same update
+      // have been processed, replacement documents have no path though
+      const node = Object.assign({}, matchedNode, storedNode);
+      const oldPath = storedNode[pathField] || matchedNode[pathField];
+      node[pathField] = oldPath;
+
+      let parentPath = null;
+
+      if (node[parentField]) {
+        const parentDoc = await collection.findOne(
+          { _id: node[parentField] },
+          { session }
+        );
+
+        if (!parentDoc) {
+          throw new MpathError(
+            'Invalid mpath parent - parent does not exist, the parent update bypassed tree maintenance.'
+          );
+        }
+
+        if (isCyclicParent(parentDoc, node)) {
+          throw new CycleError(
+            'Invalid mpath parent - a node cannot be moved below itself or one of its descendants, the parent update bypassed tree maintenance.'
+          );
+        }
+
+        parentPath = parentDoc[pathField];
+      }
+
+      // a position is kept as long as the parent is unchanged
+      const hasSamePosition =
+        'POSITION' === pathEncoding &&
+        Boolean(oldPath) &&
+        getParentPath(oldPath) === (parentPath || '');
+      const newPath = hasSamePosition
+        ? oldPath
+        : buildPath(
+            parentPath,
+            await getPathSegment(collection, node, session)
+          );
+
+      if (!hasStalePathFields(storedNode, newPath)) {
+        continue;
+      }
+
+      await collection.updateOne(
+        { _id: node._id },
+        { $set: getPathFields(newPath) },
+        { session }
+      );
+
+      // replaced without a parent change, only the path fields are restored
+      if (newPath === oldPath) {
+        continue;
+      }
+
+      const descendantCount = oldPath
+        ? await updateChildPaths(collection, oldPath, newPath, session)
+        : 0;
+
+      await updateTreeCounts(
+        collection,
+        oldPath,
+        newPath,
+        1 + descendantCount,
+        session
+      );
+    }
+  };
+
+  // Documents matched by pending update queries that change parents
+  const pendingNodes = new WeakMap();
+
+  // Children moved to their grandparent by onDelete 'REPARENT', their new
+  // parent is not validated
+  const reparentedNodes = new WeakSet();
+
+  const updateQueries = [
+    'update',
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+  ];
+
+  const isReplaceQuery = (op) =>
+    'replaceOne' === op || 'findOneAndReplace' === op;
+
+  /**
+   * Tree maintenance required by an update, replacements may change both the
+   * parent and the scope
+   * @param  {Object|Array} update    [description]
+   * @param  {Boolean}      isReplace [description]
+   * @return {Object}                 { isParentUpdate, isScopeUpdate }
+   */
+  const getTreeUpdate = (update, isReplace) => ({
+    isParentUpdate: isReplace || mpathUtil.isParentUpdate(update, parentField),
+    isScopeUpdate:
+      scopeFields.length > 0 &&
+      (isReplace ||
+        scopeFields.some((field) => mpathUtil.isParentUpdate(update, field))),
+  });
+
+  const deleteQueries = [
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+    'findOneAndRemove',
+    'remove',
+  ];
+
+  const singleDocumentQueries = [
+    'updateOne',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'findOneAndDelete',
+    'findOneAndRemove',
+  ];
+
+  const isSingleDocumentQuery = (query) =>
+    singleDocumentQueries.includes(query.op) ||
+    ('update' === query.op && !query.getOptions().multi);
+
+  const uniqueNodes = (nodes) => {
+    const seenIds = new Set();
+
+    return nodes.filter((node) => {
+      const key = node._id.toString();
+      const isDuplicate = seenIds.has(key);
+      seenIds.add(key);
+      return !isDuplicate;
+    });
+  };
+
+  /**
+   * Apply the onDelete strategy to the descendants of removed documents
+   * @param  {Model}         model   [description]
+   * @param  {Array}         nodes   Removed documents
+   * @param  {ClientSession} session [description]
+   * @return {Promise}               [description]
+   */
+  const removeNodes = async (model, nodes, session) => {
+    nodes = nodes.filter((node) => node[pathField]);
+
+    if (nodes.length === 0) {
+      return;
+    }
+
+    if (orderField) {
+      await closeSiblingGapsOfNodes(model.collection, nodes, session);
+
+      for (const batch of _chunk(nodes, queryBatchSize)) {
+        await model.collection.updateMany(
+          { _id: { $in: batch.map((node) => node._id) } },
+          { $unset: { [orderField]: '' } },
+          { session }
+        );
+      }
+    }
+
+    if ('DELETE' === onDelete) {
+      // descendants of nested removed documents are covered by their ancestor
+      const removedPaths = new Set(nodes.map((node) => node[pathField]));
+      const topNodes = nodes.filter(
+        (node) =>
+          !getAncestorPaths(node[pathField]).some((path) =>
+            removedPaths.has(path)
+          )
+      );
+
+      if (hasCountFields) {
+        for (const node of topNodes) {
+          const descendantCount = await model.collection.countDocuments(
+            { [pathField]: getDescendantPathCondition(node[pathField]) },
+            { session }
+          );
+
+          await updateTreeCounts(
+            model.collection,
+            node[pathField],
+            null,
+            1 + descendantCount,
+            session
+          );
+        }
+      }
+
+      for (const batch of _chunk(topNodes, queryBatchSize)) {
+        await model.collection.deleteMany(
+          {
+            $or: batch.map((node) => ({
+              [pathField]: getDescendantPathCondition(node[pathField]),
+            })),
+          },
+          { session }
+        );
+      }
+
+      return;
+    }
+
+    // children are moved by save(), which counts them as moved subtrees
+    for (const node of nodes) {
+      await updateTreeCounts(
+        model.collection,
+        node[pathField],
+        null,
+        1,
+        session
+      );
+    }
+
+    // 'REPARENT'
+    const removedNodes = new Map(
+      nodes.map((node) => [node._id.toString(), node])
+    );
+    const removedIds = nodes.map((node) => node._id);
+
+    // closest ancestor that is not removed as well
+    const getNewParent = (parent) => {
+      while (parent && removedNodes.has(parent.toString())) {
+        parent = removedNodes.get(parent.toString())[parentField];
+      }
+      return parent;
+    };
+
+    const reparentChildren = (parentIds) => {
+      const childQuery = model
+        .find({ [parentField]: { $in: parentIds } })
+        .session(session || null);
+
+      if (orderField) {
+        childQuery.sort({ [orderField]: 1 });
+      }
+
+      const childCursor = childQuery.cursor();
+
+      return new Promise((resolve, reject) => {
+        const onStreamData = (childDoc, done) => {
+          // removed children are reparented by their removed ancestor
+          if (removedNodes.has(childDoc._id.toString())) {
+            return done();
+          }
+
+          childDoc[parentField] = getNewParent(childDoc[parentField]);
+          reparentedNodes.add(childDoc);
+
+          childDoc.save({ session }).then(() => done(), done);
+        };
+
+        const onStreamClose = (ex) => (ex ? reject(ex) : resolve());
+
+        streamWorker(
+          childCursor,
+          onStreamData,
+          getStreamWorkerOptions(session),
+          onStreamClose
+        );
+      });
+    };
+
+    for (const batch of _chunk(removedIds, queryBatchSize)) {
+      await reparentChildren(batch);
+    }
+  };
+
+  /**
+   * Compute the path of every document from its chain of parents
+   * @param  {Array}  nodes            All documents of the tree
+   * @param  {Number} nextRootPosition First free root position, see 'POSITION'
+   * @return {Object} { expectedPaths, orphans, cycles }, the expected path is
+   *                  null for documents without a resolvable parent chain
+   */
+  const analyzeTree = (nodes, nextRootPosition) => {
+    const nodesById = new Map(nodes.map((node) => [String(node._id), node]));
+    const expectedPaths = new Map();
+    const orphans = [];
+    const cycles = [];
+
+    // documents keep their sibling position unless it is invalid or taken,
+    // then they are appended to their siblings
+    const nextPositions = new Map([['', nextRootPosition || 0]]);
+    const takenSegments = new Set();
+
+    if ('POSITION' === pathEncoding) {
+      nodes.forEach((node) => {
+        const key = String(node[parentField] || '');
+
+        if (node[pathField] && isPositionSegment(getLastSegment(node))) {
+          nextPositions.set(
+            key,
+            Math.max(
+              nextPositions.get(key) || 0,
+              decodePosition(node[pathField]) + 1
+            )
+          );
+        }
+      });
+    }
+
+    // null if the document has no token yet
+    const getExpectedSegment = (node) => {
+      if ('TOKEN' === pathSegment) {
+        return node[pathTokenField] || null;
+      }
+
+      if ('POSITION' !== pathEncoding) {
+        return getIdSegment(node._id);
+      }
+
+      const key = String(node[parentField] || '');
+      let segment = node[pathField] ? getLastSegment(node) : null;
+
+      if (
+        !segment ||
+        !isPositionSegment(segment) ||
+        takenSegments.has(key + pathSeparator + segment)
+      ) {
+        const position = nextPositions.get(key) || 0;
+        nextPositions.set(key, position + 1);
+        segment = encodePosition(position);
+      }
+
+      takenSegments.add(key + pathSeparator + segment);
+      return segment;
+    };
+
+    for (const node of nodes) {
+      const chain = [];
+      let current = node;
+      let basePath;
+
+      // walk up until reaching a root, a resolved ancestor or a broken chain
+      for (;;) {
+        const key = String(current._id);
+
+        if (expectedPaths.has(key)) {
+          basePath = expectedPaths.get(key);
+          break;
+        }
+
+        const chainIndex = chain.indexOf(current);
+
+        if (chainIndex !== -1) {
+          cycles.push(...chain.slice(chainIndex));
+          basePath = null;
+          break;
+        }
+
+        chain.push(current);
+
+        if (!current[parentField]) {
+          basePath = '';
+          break;
+        }
+
+        const parentNode = nodesById.get(String(current[parentField]));
+
+        if (!parentNode) {
+          orphans.push(current);
+          basePath = null;
+          break;
+        }
+
+        current = parentNode;
+      }
+
+      for (const chainNode of chain.reverse()) {
+        const segment =
+          basePath === null ? null : getExpectedSegment(chainNode);
+
+        basePath = segment === null ? null : buildPath(basePath, segment);
+        expectedPaths.set(String(chainNode._id), basePath);
+      }
+    }
+
+    return { expectedPaths, orphans, cycles };
+  };
+
+  const findTreeNodes = (model, conditions, session) =>
+    model.collection
+      .find(model.find(conditions).cast(model), {
+        session,
+        projection: Object.assign(
+          { _id: 1, [parentField]: 1, [pathField]: 1 },
+          depthField ? { [depthField]: 1 } : {},
+          ancestorsField ? { [ancestorsField]: 1 } : {},
+          childCountField ? { [childCountField]: 1 } : {},
+          descendantCountField ? { [descendantCountField]: 1 } : {},
+          'TOKEN' === pathSegment ? { [pathTokenField]: 1 } : {}
+        ),
+      })
+      .toArray();
+
+  schema.add({
+    [parentField]: {
+      index: true,
+      set: (value) =>
+        value instanceof Object && value._id ? value._id : value,
+      type: idType,
+      ref: options.modelName,
+    },
+    [pathField]: {
+      index: 'POSITION' !== pathEncoding,
+      type: String,
+    },
+  });
+
+  // siblings saved at the same time must not get the same position
+  if ('POSITION' === pathEncoding) {
+    schema.index(
+      { [pathField]: 1 },
+      {
+        unique: true,
+        partialFilterExpression: { [pathField]: { $type: 'string' } },
+      }
+    );
+  }
+
+  if (
+    'PADDED' === pathEncoding &&
+    schema.path(parentField).instance !== 'Number'
+  ) {
+    throw new Error(
+      'Invalid mpath options - "pathEncoding" \'PADDED\' requires a numeric "idType".'
+    );
+  }
+
+  // Sorting by path lists documents depth first when no segment can be a
+  // prefix of a sibling segment, or when the separator sorts below every
+  // character of segments ('+' is the lowest character of numbers and tokens)
+  const isPathOrderDepthFirst =
+    'ID' !== pathEncoding ||
+    (hasIdSegments && 'ObjectID' === schema.path(parentField).instance) ||
+    (('TOKEN' === pathSegment ||
+      'Number' === schema.path(parentField).instance) &&
+      pathSeparator < '+');
+
+  if (orderField) {
+    schema.add({ [orderField]: { type: Number, min: 0 } });
+    schema.index({ [parentField]: 1, [orderField]: 1 });
+  }
+
+  if (depthField) {
+    schema.add({ [depthField]: { type: Number, min: 1, index: true } });
+  }
+
+  if (ancestorsField) {
+    schema.add({ [ancestorsField]: { type: [idType], index: true } });
+  }
+
+  if (childCountField) {
+    schema.add({ [childCountField]: { type: Number, min: 0, default: 0 } });
+  }
+
+  if (descendantCountField) {
+    schema.add({
+      [descendantCountField]: { type: Number, min: 0, default: 0 },
+    });
+  }
+
+  if (scopeFields.length > 0) {
+    const scopeIndex = scopeFields.reduce((index, field) => {
+      index[field] = 1;
+      return index;
+    }, {});
+
+    schema.index(Object.assign({}, scopeIndex, { [parentField]: 1 }));
+    schema.index(Object.assign({}, scopeIndex, { [pathField]: 1 }));
+  }
+
+  if ('TOKEN' === pathSegment) {
+    schema.add({
+      [pathTokenField]: { type: String, index: { unique: true, sparse: true } },
+    });
+  }
+
+  // Number of descendants rewritten by the last save of a moved document
+  const descendantUpdateCounts = new WeakMap();
+
+  /**
+   * Reject parents which do not exist, do not match parentConditions or
+   * belong to another scope, and parents which would exceed maxDepth with the
+   * subtree of the document or maxChildren. Runs when documents are created
+   * or moved by save(), the error is reported on the parent field.
+   * @param  {*} parent [description]
+   * @return {Promise.<Boolean>} [description]
+   */
+  schema.path(parentField).validate({
+    validator: async function validateParent(parent) {
+      if (
+        !parent ||
+        !(this instanceof Mongoose.Document) ||
+        reparentedNodes.has(this)
+      ) {
+        return true;
+      }
+
+      const session = this.$session() || undefined;
+      const parentDoc = await findParent(
+        this.constructor,
+        parent,
+        this,
+        session
+      );
+
+      if (!parentDoc) {
+        throw new MpathError('Invalid mpath parent - parent not found.');
+      }
+
+      if (!isSameScope(parentDoc, this)) {
+        throw new MpathError(
+          'Invalid mpath parent - the parent belongs to another scope.'
+        );
+      }
+
+      // cycles are rejected with a CycleError by the pre save hook
+      if (!this.isNew && isCyclicParent(parentDoc, this)) {
+        return true;
+      }
+
+      await assertParentLimits(
+        this.collection,
+        parentDoc,
+        [this.isNew ? { _id: this._id } : this],
+        session
+      );
+
+      return true;
+    },
+  });
+
+  /**
+   * Reject scope changes of existing documents which would leave them in
+   * another scope than their parent, or any scope change of documents with
+   * descendants when onScopeChange is 'REJECT'.
+   * @return {Promise.<Boolean>} [description]
+   */
+  async function validateScope() {
+    if (this.isNew || !(this instanceof Mongoose.Document)) {
+      return true;
+    }
+
+    const session = this.$session() || undefined;
+
+    if ('REJECT' === onScopeChange && this[pathField]) {
+      const hasDescendants = await this.collection.findOne(
+        { [pathField]: getDescendantPathCondition(this[pathField]) },
+        { projection: { _id: 1 }, session }
+      );
+
+      if (hasDescendants) {
+        throw new MpathError(
+          'Invalid mpath scope - documents with descendants cannot change scope.'
+        );
+      }
+    }
+
+    // moved documents are checked by the parent validator
+    if (this[parentField] && !this.isModified(parentField)) {
+      const parentDoc = await this.collection.findOne(
+        Object.assign(getScopeConditions(this), { _id: this[parentField] }),
+        { projection: { _id: 1 }, session }
+      );
+
+      if (!parentDoc) {
+        throw new MpathError(
+          'Invalid mpath scope - the parent belongs to another scope.'
+        );
+      }
+    }
+
+    return true;
+  }
+
+  scopeFields.forEach((field) => {
+    schema.path(field).validate({ validator: validateScope });
+  });
+
+  /**
+   * Mongoose schema pre save hook
+   * @param  {Function} next    [description]
+   * @param  {Object}   options Options passed to save()
+   */
+  schema.pre('save', function preSave(next, options) {
+    const hasModifiedParent = this.isModified(parentField);
+    const pathUpdateIsRequired = this.isNew || hasModifiedParent;
+    const orderUpdateIsRequired =
+      orderField !== null &&
+      (pathUpdateIsRequired ||
+        this.isModified(orderField) ||
+        scopeFields.some((field) => this.isModified(field)));
+
+    if (!pathUpdateIsRequired && !orderUpdateIsRequired) {
+      return next();
+    }
+
+    const self = this;
+    const session = mpathUtil.getSession(this, options);
+
+    const updateOrder = () =>
+      orderUpdateIsRequired
+        ? updateSiblingOrder(self, session)
+        : Promise.resolve();
+
+    if (!pathUpdateIsRequired) {
+      return updateOrder().then(
+        () => next(),
+        (ex) => next(ex)
+      );
+    }
+
+    const isNewNode = self.isNew;
+    const oldPath = self[pathField];
+
+    const updatePath = (newPath) => {
+      self[pathField] = newPath;
+
+      if (depthField) {
+        self.set(depthField, getLevel(newPath));
+      }
+
+      if (ancestorsField) {
+        self.set(ancestorsField, getAncestorIds(newPath));
+      }
+
+      if ('TOKEN' === pathSegment) {
+        self.set(pathTokenField, getLastSegment(self));
+      }
+
+      updateOrder()
+        .then(() => {
+          if (hasModifiedParent && oldPath) {
+            // Rewrite child paths when parent is changed
+            return updateChildPaths(self.collection, oldPath, newPath, session);
+          }
+        })
+        .then((descendantCount) => {
+          descendantUpdateCounts.set(self, descendantCount || 0);
+
+          return updateTreeCounts(
+            self.collection,
+            isNewNode ? null : oldPath,
+            newPath,
+            1 + (descendantCount || 0),
+            session
+          );
+        })
+        .then(
+          () => next(),
+          (ex) => next(ex)
+        );
+    };
+
+    if (this[parentField]) {
+      if (this[parentField].toString() === self._id.toString()) {
+        return next(
+          new CycleError(
+            'Invalid mpath parent - a node cannot be its own parent.'
+          )
+        );
+      }
+
+      this.collection
+        .findOne({ _id: this[parentField] }, { session })
+        .then((parentDoc) => {
+          // validation is skipped when saving with validateBeforeSave: false
+          if (!parentDoc) {
+            return next(
+              new MpathError('Invalid mpath parent - parent not found.')
+            );
+          }
+
+          // Reject parents located in the subtree of this document, before any
+          // child paths are rewritten
+          if (isCyclicParent(parentDoc, self)) {
+            return next(
+              new CycleError(
+                'Invalid mpath parent - a node cannot be moved below one of its descendants.'
+              )
+            );
+          }
+
+          return getPathSegment(self.collection, self, session).then(
+            (segment) => updatePath(buildPath(parentDoc[pathField], segment))
+          );
+        })
+        .catch((ex) => next(ex));
+    } else {
+      getPathSegment(self.collection, self, session)
+        .then((segment) => updatePath(buildPath(null, segment)))
+        .catch((ex) => next(ex));
+    }
+  });
+
+  /**
+   * Mongoose schema pre save hook
+   * Moves the descendants of a document along when its scope is changed
+   * @param  {Function} next    [description]
+   * @param  {Object}   options Options passed to save()
+   */
+  schema.pre('save', function preSaveScope(next, options) {
+    const hasModifiedScope = scopeFields.some((field) =>
+      this.isModified(field)
+    );
+
+    if (this.isNew || !hasModifiedScope || !this[pathField]) {
+      return next();
+    }
+
+    this.collection
+      .updateMany(
+        { [pathField]: getDescendantPathCondition(this[pathField]) },
+        { $set: getScopeConditions(this) },
+        { session: mpathUtil.getSession(this, options) }
+      )
+      .then(
+        () => next(),
+        (ex) => next(ex)
+      );
+  });
+
+  /**
+   * Mongoose schema pre remove/deleteOne hook
+   * @param  {Function} next    [description]
+   * @param  {Object}   options Options passed to remove()/deleteOne()
+   */
+  function preRemove(next, options) {
+    removeNodes(
+      this.model(this.constructor.modelName),
+      [this],
+      mpathUtil.getSession(this, options)
+    ).then(() => next(), next);
+  }
+
+  schema.pre('remove', preRemove);
+  schema.pre('deleteOne', { document: true, query: false }, preRemove);
+
+  /**
+   * Mongoose query pre delete hook
+   * Applies the onDelete strategy to every document matched by the query
+   * @param  {Function} next [description]
+   */
+  schema.pre(
+    deleteQueries,
+    { document: false, query: true },
+    function preDelete(next) {
+      const query = this;
+      const queryOptions = this.getOptions();
+      const filter = this.getFilter();
+
+      // every document is removed, no descendant is left to delete or reparent
+      if (!isSingleDocumentQuery(this) && Object.keys(filter).length === 0) {
+        return next();
+      }
+
+      findMatchedNodes(
+        this.model,
+        filter,
+        isSingleDocumentQuery(this),
+        queryOptions.sort,
+        queryOptions.session
+      )
+        .then((nodes) => removeNodes(query.model, nodes, queryOptions.session))
+        .then(() => next(), next);
+    }
+  );
+
+  /**
+   * Mongoose query pre update hook
+   * Collects the documents of updates that change the parent field
+   * @param  {Function} next [description]
+   */
+  schema.pre(updateQueries, function preUpdate(next) {
+    const update = this.getUpdate();
+    const isReplace = isReplaceQuery(this.op);
+    const { isParentUpdate, isScopeUpdate } = getTreeUpdate(update, isReplace);
+
+    if (!isParentUpdate && !isScopeUpdate) {
+      return next();
+    }
+
+    const query = this;
+    const queryOptions = this.getOptions();
+
+    findMatchedNodes(
+      this.model,
+      this.getFilter(),
+      isSingleDocumentQuery(this),
+      queryOptions.sort,
+      queryOptions.session,
+      hasParentConditionsFunction
+    )
+      .then((nodes) =>
+        validateUpdatedParent(
+          query.model,
+          nodes,
+          update,
+          isReplace,
+          queryOptions.session
+        )
+          .then(() =>
+            validateUpdatedScope(
+              query.model,
+              nodes,
+              update,
+              isReplace,
+              queryOptions.session
+            )
+          )
+          .then(() => nodes)
+      )
+      .then((nodes) => {
+        pendingNodes.set(query, nodes);
+        next();
+      }, next);
+  });
+
+  /**
+   * Mongoose query post update hook
+   * Recomputes the paths of the updated documents and their descendants, and
+   * moves descendants along to changed scopes
+   * @param  {Object}   result [description]
+   * @param  {Function} next   [description]
+   */
+  schema.post(updateQueries, function postUpdate(result, next) {
+    if (!pendingNodes.has(this)) {
+      return next();
+    }
+
+    const nodes = pendingNodes.get(this);
+    pendingNodes.delete(this);
+
+    // upserted documents
+    if (result && result.upsertedId) {
+      nodes.push({ _id: result.upsertedId });
+    } else if (result && result._id) {
+      nodes.push({ _id: result._id });
+    }
+
+    const model = this.model;
+    const session = this.getOptions().session;
+    const updatedNodes = uniqueNodes(nodes);
+    const { isParentUpdate, isScopeUpdate } = getTreeUpdate(
+      this.getUpdate(),
+      isReplaceQuery(this.op)
+    );
+
+    (orderField
+      ? updateMovedNodesOrder(model.collection, updatedNodes, session)
+      : Promise.resolve()
+    )
+      .then(() =>
+        isParentUpdate ? updateNodePaths(model, updatedNodes, session) : null
+      )
+      .then(() =>
+        isScopeUpdate ? updateNodeScopes(model, updatedNodes, session) : null
+      )
+      .then(() => next(), next);
+  });
+
+  /**
+   * Maintains paths and scopes of documents whose parent or scope is changed
+   * by updateOne, updateMany or replaceOne operations, see Model.bulkWrite()
+   * @param  {Array}    ops      [description]
+   * @param  {Object}   options  [description]
+   * @param  {Function} callback [description]
+   * @return {Promise}           [description]
+   */
+  schema.statics.bulkWrite = function bulkWrite(ops, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = null;
+    }
+
+    const model = this;
+    const session = options && options.session;
+
+    const treeOps = (ops || [])
+      .map((op) => {
+        const isReplace = Boolean(op.replaceOne);
+        const writeOp = op.updateOne || op.updateMany || op.replaceOne;
+
+        if (!writeOp) {
+          return null;
+        }
+
+        const update = isReplace ? writeOp.replacement : writeOp.update;
+        const treeUpdate = getTreeUpdate(update, isReplace);
+
+        if (!treeUpdate.isParentUpdate && !treeUpdate.isScopeUpdate) {
+          return null;
+        }
+
+        return Object.assign(
+          { op: writeOp, update, isReplace, single: !op.updateMany },
+          treeUpdate
+        );
+      })
+      .filter((treeOp) => treeOp !== null);
+
+    if (treeOps.length === 0) {
+      return Mongoose.Model.bulkWrite.call(model, ops, options, callback);
+    }
+
+    const bulkWriteWithPaths = async () => {
+      let nodes = [];
+      let scopeNodes = [];
+
+      for (const treeOp of treeOps) {
+        const opNodes = await findMatchedNodes(
+          model,
+          treeOp.op.filter,
+          treeOp.single,
+          null,
+          session,
+          hasParentConditionsFunction
+        );
+        await validateUpdatedParent(
+          model,
+          opNodes,
+          treeOp.update,
+          treeOp.isReplace,
+          session
+        );
+        await validateUpdatedScope(
+          model,
+          opNodes,
+          treeOp.update,
+          treeOp.isReplace,
+          session
+        );
+
+        if (treeOp.isParentUpdate) {
+          nodes = nodes.concat(opNodes);
+        }
+
+        if (treeOp.isScopeUpdate) {
+          scopeNodes = scopeNodes.concat(opNodes);
+        }
+      }
+
+      let result;
+      let writeError = null;
+
+      try {
+        result = await Mongoose.Model.bulkWrite.call(model, ops, options);
+      } catch (ex) {
+        // operations applied before the failing one still need their paths
+        writeError = ex;
+        result = ex.result;
+      }
+
+      const upsertedNodes = Object.values(
+        (result && result.upsertedIds) || {}
+      ).map((id) => ({ _id: id }));
+      nodes = _orderBy(nodes, (node) =>
+        mpathUtil.getLevelByPathAndSeparator(node[pathField], pathSeparator)
+      ).concat(upsertedNodes);
+
+      if (orderField) {
+        await updateMovedNodesOrder(
+          model.collection,
+          uniqueNodes(nodes.concat(scopeNodes)),
+          session
+        );
+      }
+
+      await updateNodePaths(model, uniqueNodes(nodes), session);
+      await updateNodeScopes(model, uniqueNodes(scopeNodes), session);
+
+      if (writeError) {
+        throw writeError;
+      }
+
+      return result;
+    };
+
+    if (callback) {
+      bulkWriteWithPaths().then((result) => callback(null, result), callback);
+      return;
+    }
+
+    return bulkWriteWithPaths();
+  };
+
+  schema.virtual(levelVirtual).get(function virtualPropLevel() {
+    return mpathUtil.getLevelByPathAndSeparator(this[pathField], pathSeparator);
+  });
+
+  // children are only assigned by getChildrenTree() and never persisted
+  schema
+    .virtual(childrenField)
+    .get(function virtualPropChildren() {
+      return this.$locals[childrenField];
+    })
+    .set(function setVirtualPropChildren(children) {
+      this.$locals[childrenField] = children;
+    });
+
+  schema.methods.getImmediateChildren = function getImmediateChildren(
+    conditions,
+    fields,
+    options
+  ) {
+    conditions = conditions || {};
+    fields = fields || null;
+    options = options || {};
+
+    Object.assign(conditions, getScopeConditions(this));
+    conditions[parentField] = this._id;
+
+    if (orderField && !options.sort) {
+      options.sort = { [orderField]: 1 };
+    }
+
+    return this.model(this.constructor.modelName).find(
+      conditions,
+      fields,
+      options
+    );
+  };
+
+  schema.methods.getAllChildren = function getAllChildren(
+    conditions,
+    fields,
+    options
+  ) {
+    conditions = conditions || {};
+    fields = fields || null;
+    options = options || {};
+
+    Object.assign(
+      conditions,
+      getScopeConditions(this),
+      getDescendantConditions(this)
+    );
+
+    return this.model(this.constructor.modelName).find(
+      conditions,
+      fields,
+      options
+    );
+  };
+
+  /**
+   * Stream descendants in depth first (path) or breadth first (level) order
+   * without loading them all in memory
+   * @param  {Object} streamOptions { order: 'dfs'|'bfs', batchSize, session }
+   * @param  {Object} conditions    [description]
+   * @param  {String} fields        [description]
+   * @return {QueryCursor|AsyncIterator} [description]
+   */
+  schema.methods.streamDescendants = function streamDescendants(
+    streamOptions,
+    conditions,
+    fields
+  ) {
+    const order = (streamOptions && streamOptions.order) || 'dfs';
+    const batchSize = (streamOptions && streamOptions.batchSize) || 1000;
+    const session =
+      (streamOptions && streamOptions.session) || this.$session() || null;
+    const model = this.model(this.constructor.modelName);
+    const descendantConditions = Object.assign(
+      getScopeConditions(this),
+      getDescendantConditions(this)
+    );
+
+    conditions = conditions || {};
+    fields = fields || null;
+
+    if (order !== 'dfs' && order !== 'bfs') {
+      throw new MpathError(
+        'Invalid mpath stream order - "order" must be dfs or bfs.'
+      );
+    }
+
+    const findDescendants = (levelConditions) =>
+      model
+        .find(
+          { $and: [conditions, descendantConditions, levelConditions] },
+          fields
+        )
+        .sort({ [pathField]: 1 })
+        .batchSize(batchSize)
+        .session(session);
+
+    if (order === 'dfs' && isPathOrderDepthFirst) {
+      return findDescendants({}).cursor();
+    }
+
+    if (order === 'dfs') {
+      // sort by the path with the separator replaced by the lowest character
+      const query = model.find(
+        { $and: [conditions, descendantConditions] },
+        fields
+      );
+      const projection = query.projection();
+      const pipeline = [
+        { $match: query.cast(model) },
+        {
+          $addFields: {
+            [segmentOrderField]: {
+              $reduce: {
+                input: { $split: [pathFieldRef, pathSeparator] },
+                initialValue: '',
+                in: { $concat: ['$$value', '$$this', '\u0000'] },
+              },
+            },
+          },
+        },
+        { $sort: { [segmentOrderField]: 1 } },
+        { $project: { [segmentOrderField]: 0 } },
+      ];
+
+      if (projection && Object.keys(projection).length > 0) {
+        pipeline.push({ $project: projection });
+      }
+
+      const cursor = model
+        .aggregate(pipeline)
+        .allowDiskUse(true)
+        .session(session)
+        .cursor({ batchSize });
+
+      return (async function* streamSegmentOrder() {
+        for await (const doc of cursor) {
+          yield model.hydrate(doc, projection);
+        }
+      })();
+    }
+
+    const firstLevel = getLevel(this[pathField]) + 1;
+
+    // one cursor per level, until a level without descendants is reached
+    return (async function* streamLevels() {
+      for (let level = firstLevel; ; level += 1) {
+        const levelConditions = getLevelConditions(level);
+        let hasDescendants = false;
+
+        for await (const doc of findDescendants(levelConditions).cursor()) {
+          hasDescendants = true;
+          yield doc;
+        }
+
+        if (!hasDescendants) {
+          hasDescendants = await model
+            .exists(Object.assign({}, descendantConditions, levelConditions))
+            .session(session);
+        }
+
+        if (!hasDescendants) {
+          return;
+        }
+      }
+    })();
+  };
+
+  /**
+   * Get parent document
+   * @param  {String} fields  [description]
+   * @param  {Object} options [description]
+   * @return {Prromise.<Mongoose.document>} [description]
+   */
+  schema.methods.getParent = function getParent(fields, options) {
+    const conditions = Object.assign(getScopeConditions(this), {
+      _id: this[parentField],
+    });
+
+    fields = fields || null;
+    options = options || {};
+
+    return this.model(this.constructor.modelName).findOne(
+      conditions,
+      fields,
+      options
+    );
+  };
+
+  schema.methods.getAncestors = function getAncestors(
+    conditions,
+    fields,
+    options
+  ) {
+    conditions = conditions || {};
+    fields = fields || null;
+    options = options || {};
+
+    let ancestorIds = [];
+
+    Object.assign(conditions, getScopeConditions(this));
+
+    if (ancestorsField && this[pathField] && this.isSelected(ancestorsField)) {
+      ancestorIds = this.get(ancestorsField).map(String);
+    } else if (this[pathField] && !hasIdSegments) {
+      // segments are not ids, ancestors sort before descendants
+      conditions[pathField] = { $in: getAncestorPaths(this[pathField]) };
+
+      return this.model(this.constructor.modelName).find(
+        conditions,
+        fields,
+        Object.assign({ sort: { [pathField]: 1 } }, options)
+      );
+    } else if (this[pathField]) {
+      ancestorIds = getAncestorIds(this[pathField]).map(String);
+    }
+
+    conditions['_id'] = { $in: ancestorIds };
+
+    return this.model(this.constructor.modelName)
+      .find(conditions, fields, options)
+      .then((result) => {
+        if (options.hasOwnProperty('sort')) {
+          return result;
+        }
+
+        const resultIds = result.map((node) => node._id.toString());
+        const resultAncestorIds = _intersection(ancestorIds, resultIds);
+        return resultAncestorIds.map((id) =>
+          result.find((node) => node._id.toString() === id)
+        );
+      });
+  };
+
+  /**
+   * Get documents sharing the parent of this document
+   * @param  {Object} conditions   [description]
+   * @param  {String} fields       [description]
+   * @param  {Object} options      [description]
+   * @param  {Object} queryOptions { includeSelf } to include this document
+   * @return {Promise.<Array>} [description]
+   */
+  schema.methods.getSiblings = function getSiblings(
+    conditions,
+    fields,
+    options,
+    queryOptions
+  ) {
+    conditions = conditions || {};
+    fields = fields || null;
+    options = options || {};
+
+    Object.assign(conditions, getSiblingConditions(this[parentField], this));
+
+    if (!(queryOptions && queryOptions.includeSelf)) {
+      conditions['_id'] = { $ne: this._id };
+    }
+
+    if (orderField && !options.sort) {
+      options.sort = { [orderField]: 1 };
+    }
+
+    return this.model(this.constructor.modelName).find(
+      conditions,
+      fields,
+      options
+    );
+  };
+
+  /**
+   * Get the root document of the tree containing this document
+   * @param  {Object} conditions [description]
+   * @param  {String} fields     [description]
+   * @param  {Object} options    [description]
+   * @return {Promise.<Mongoose.document>} [description]
+   */
+  schema.methods.getRoot = function getRoot(conditions, fields, options) {
+    conditions = conditions || {};
+    fields = fields || null;
+    options = options || {};
+
+    Object.assign(conditions, getScopeConditions(this));
+    conditions[pathField] = this[pathField].split(pathSeparator)[0];
+
+    return this.model(this.constructor.modelName).findOne(
+      conditions,
+      fields,
+      options
+    );
+  };
+
+  /**
+   * Get documents without parent
+   * @param  {Object} conditions [description]
+   * @param  {String} fields     [description]
+   * @param  {Object} options    [description]
+   * @return {Promise.<Array>} [description]
+   */
+  schema.statics.getRoots = function getRoots(conditions, fields, options) {
+    conditions = conditions || {};
+    fields = fields || null;
+    options = options || {};
+
+    assertScopeConditions(conditions);
+    Object.assign(conditions, getSiblingConditions(null));
+
+    if (orderField && !options.sort) {
+      options.sort = { [orderField]: 1 };
+    }
+
+    return this.find(conditions, fields, options);
+  };
+
+  /**
+   * Get documents at a level of the tree, root documents are at level 1
+   * @param  {Number} level      [description]
+   * @param  {Object} conditions [description]
+   * @param  {String} fields     [description]
+   * @param  {Object} options    [description]
+   * @return {Promise.<Array>} [description]
+   */
+  schema.statics.findByLevel = function findByLevel(
+    level,
+    conditions,
+    fields,
+    options
+  ) {
+    conditions = conditions || {};
+    fields = fields || null;
+    options = options || {};
+
+    assertScopeConditions(conditions);
+    Object.assign(conditions, getLevelConditions(level));
+
+    return this.find(conditions, fields, options);
+  };
+
+  const rollupOps = ['sum', 'count', 'min', 'max', 'avg'];
+
+  /**
+   * Roll up a field over the subtree of every document, each document
+   * contributes to its own value and to the values of all its ancestors
+   * @param  {*}      rootId     Id of the subtree root, null for all trees
+   * @param  {Object} rollup     { field, op } with op 'sum', 'count', 'min', 'max' or 'avg'
+   * @param  {Object} options    { conditions, session }, conditions must
+   *                             include the scope for all trees
+   * @return {Promise.<Object>} Rolled up values keyed by document id
+   */
+  schema.statics.aggregateSubtree = async function aggregateSubtree(
+    rootId,
+    rollup,
+    options
+  ) {
+    const op = (rollup && rollup.op) || 'sum';
+    const field = rollup && rollup.field;
+    const conditions = (options && options.conditions) || {};
+    const session = (options && options.session) || null;
+
+    if (!rollupOps.includes(op)) {
+      throw new MpathError(
+        `Invalid mpath rollup - "op" must be one of ${rollupOps.join(', ')}.`
+      );
+    }
+
+    if (!field && op !== 'count') {
+      throw new MpathError('Invalid mpath rollup - "field" is required.');
+    }
+
+    let matchConditions = { [pathField]: { $type: 'string' } };
+    let rootLevel = 1;
+
+    if (rootId === null || rootId === undefined) {
+      assertScopeConditions(conditions);
+    } else {
+      const rootDoc = await this.findOne(
+        Object.assign({}, conditions, { _id: rootId }),
+        { [pathField]: 1 }
+      )
+        .session(session)
+        .lean();
+
+      if (!rootDoc) {
+        throw new MpathError(
+          'Invalid mpath document - document does not exist.'
+        );
+      }
+
+      matchConditions = {
+        $or: [
+          { [pathField]: rootDoc[pathField] },
+          { [pathField]: getDescendantPathCondition(rootDoc[pathField]) },
+        ],
+      };
+      rootLevel = getLevel(rootDoc[pathField]);
+    }
+
+    const pathSegments = { $split: [pathFieldRef, pathSeparator] };
+
+    // segments which are not ids are replaced by the paths of the documents
+    const pathKeys = !hasIdSegments
+      ? {
+          $reduce: {
+            input: pathSegments,
+            initialValue: [],
+            in: {
+              $concatArrays: [
+                '$$value',
+                [
+                  {
+                    $cond: [
+                      { $eq: [{ $size: '$$value' }, 0] },
+                      '$$this',
+                      {
+                        $concat: [
+                          { $arrayElemAt: ['$$value', -1] },
+                          pathSeparator,
+                          '$$this',
+                        ],
+                      },
+                    ],
+                  },
+                ],
+              ],
+            },
+          },
+        }
+      : pathSegments;
+
+    const result = await this.aggregate([
+      {
+        $match: this.find({ $and: [conditions, matchConditions] }).cast(this),
+      },
+      {
+        $project: {
+          value: op === 'count' ? { $literal: 1 } : '$' + field,
+          // keys of the document and its ancestors within the subtree
+          nodeKey: {
+            $slice: [pathKeys, rootLevel - 1, { $size: pathKeys }],
+          },
+        },
+      },
+      { $unwind: '$nodeKey' },
+      {
+        $group: {
+          _id: '$nodeKey',
+          value: { ['$' + (op === 'count' ? 'sum' : op)]: '$value' },
+        },
+      },
+    ]).session(session);
+
+    let getNodeId =
+      'PADDED' === pathEncoding ? getSegmentId : (segment) => segment;
+
+    if (!hasIdSegments) {
+      const nodes = await this.find(
+        { [pathField]: { $in: result.map((group) => group._id) } },
+        { [pathField]: 1 }
+      )
+        .session(session)
+        .lean();
+      const idsByPath = new Map(
+        nodes.map((node) => [node[pathField], node._id])
+      );
+
+      getNodeId = (path) => idsByPath.get(path);
+    }
+
+    return result.reduce((values, group) => {
+      const nodeId = getNodeId(group._id);
+
+      if (nodeId !== undefined) {
+        values[nodeId] = group.value;
+      }
+
+      return values;
+    }, {});
+  };
+
+  /**
+   * Get the deepest document that is an ancestor of, or equal to, both
+   * documents
+   * @param  {Mongoose.document|*} a          Document or id
+   * @param  {Mongoose.document|*} b          Document or id
+   * @param  {Object}              conditions [description]
+   * @param  {String}              fields     [description]
+   * @param  {Object}              options    [description]
+   * @return {Promise.<Mongoose.document>} null if the documents are in different trees
+   */
+  schema.statics.getLowestCommonAncestor =
+    async function getLowestCommonAncestor(a, b, conditions, fields, options) {
+      conditions = conditions || {};
+      fields = fields || null;
+      options = options || {};
+
+      const session = options.session || null;
+
+      const getNodePath = async (node) => {
+        if (node instanceof Object && typeof node[pathField] === 'string') {
+          return node[pathField];
+        }
+
+        const id = node instanceof Object && node._id ? node._id : node;
+        const savedNode = await this.findOne({ _id: id }, { [pathField]: 1 })
+          .session(session)
+          .lean();
+
+        if (!savedNode) {
+          throw new MpathError(
+            'Invalid mpath document - document does not exist.'
+          );
+        }
+
+        return savedNode[pathField];
+      };
+
+      const pathSegmentsA = (await getNodePath(a)).split(pathSeparator);
+      const pathSegmentsB = (await getNodePath(b)).split(pathSeparator);
+      const commonSegments = [];
+
+      while (
+        commonSegments.length < pathSegmentsA.length &&
+        pathSegmentsA[commonSegments.length] ===
+          pathSegmentsB[commonSegments.length]
+      ) {
+        commonSegments.push(pathSegmentsA[commonSegments.length]);
+      }
+
+      if (commonSegments.length === 0) {
+        return null;
+      }
+
+      conditions[pathField] = commonSegments.join(pathSeparator);
+
+      return this.findOne(conditions, fields, options);
+    };
+
+  const isDescendantPath = (path, ancestorPath) =>
+    Boolean(path && ancestorPath) &&
+    path.startsWith(ancestorPath + pathSeparator);
+
+  /**
+   * Check if this document is an ancestor of another document
+   * @param  {Mongoose.document} other [description]
+   * @return {Boolean}                 [description]
+   */
+  schema.methods.isAncestorOf = function isAncestorOf(other) {
+    return isDescendantPath(other && other[pathField], this[pathField]);
+  };
+
+  /**
+   * Check if this document is a descendant of another document
+   * @param  {Mongoose.document} other [description]
+   * @return {Boolean}                 [description]
+   */
+  schema.methods.isDescendantOf = function isDescendantOf(other) {
+    return isDescendantPath(this[pathField], other && other[pathField]);
+  };
+
+  /**
+   * Check if this document shares the parent of another document
+   * @param  {Mongoose.document} other [description]
+   * @return {Boolean}                 [description]
+   */
+  schema.methods.isSiblingOf = function isSiblingOf(other) {
+    return (
+      Boolean(this[pathField] && other && other[pathField]) &&
+      this[pathField] !== other[pathField] &&
+      getParentPath(this[pathField]) === getParentPath(other[pathField])
+    );
+  };
+
+  /**
+   * Check if this document has no parent
+   * @return {Boolean} [description]
+   */
+  schema.methods.isRoot = function isRoot() {
+    return this[pathField]
+      ? getParentPath(this[pathField]) === ''
+      : !this[parentField];
+  };
+
+  /**
+   * Check if this document has at least one child
+   * @param  {Object} options [description]
+   * @return {Promise.<Boolean>} [description]
+   */
+  schema.methods.hasChildren = function hasChildren(options) {
+    return this.model(this.constructor.modelName)
+      .exists({ [parentField]: this._id })
+      .session(mpathUtil.getSession(this, options) || null)
+      .then((result) => Boolean(result));
+  };
+
+  /**
+   * Check if this document has no children
+   * @param  {Object} options [description]
+   * @return {Promise.<Boolean>} [description]
+   */
+  schema.methods.isLeaf = function isLeaf(options) {
+    return this.hasChildren(options).then((result) => !result);
+  };
+
+  /**
+   * Include the fields required to assemble trees, path and parent (and
+   * orderField), in a field selection
+   * @param  {Object|String} fields [description]
+   * @return {Object|String}        [description]
+   */
+  const includeTreeFields = (fields) => {
+    if (fields) {
+      if (fields instanceof Object) {
+        if (!fields.hasOwnProperty(pathField)) {
+          fields[pathField] = 1;
+        }
+        if (!fields.hasOwnProperty(parentField)) {
+          fields[parentField] = 1;
+        }
+        if (orderField && !fields.hasOwnProperty(orderField)) {
+          fields[orderField] = 1;
+        }
+      } else {
+        if (!fields.split(' ').includes(pathField)) {
+          fields += ' ' + pathField;
+        }
+        if (!fields.split(' ').includes(parentField)) {
+          fields += ' ' + parentField;
+        }
+        if (orderField && !fields.split(' ').includes(orderField)) {
+          fields += ' ' + orderField;
+        }
+      }
+    }
+
+    return fields;
+  };
+
+  /**
+   * Returns tree of child documents
+   * @param  {Object} args [description]
+   * @return {Promise.<Object>} [description]
+   */
+  schema.statics.getChildrenTree = function getChildrenTree(args) {
+    const rootDoc = args && args.rootDoc ? args.rootDoc : null;
+    let fields = args && args.fields ? args.fields : null;
+    let filters = args && args.filters ? args.filters : {};
+    let minLevel = args && args.minLevel ? args.minLevel : 1;
+    let maxLevel = args && args.maxLevel ? args.maxLevel : 9999;
+    let options = args && args.options ? args.options : {};
+    let populateStr = args && args.populate ? args.populate : '';
+
+    // filters
+    if (rootDoc) {
+      Object.assign(filters, getScopeConditions(rootDoc));
+      filters[pathField] = getDescendantPathCondition(rootDoc[pathField]);
+    } else {
+      assertScopeConditions(filters);
+    }
+
+    // level filters are applied by the query when depth is stored
+    const isLevelFilteredByQuery = depthField !== null;
+
+    if (isLevelFilteredByQuery && (minLevel > 1 || maxLevel < 9999)) {
+      filters[depthField] = { $gte: minLevel, $lte: maxLevel };
+    }
+
+    // fields
+    fields = includeTreeFields(fields);
+
+    // options:sort
+    // passed options.sort is applied after entries are fetched from database
+    let postSortObj = {};
+
+    if (options.sort) {
+      postSortObj = options.sort;
+    } else if (orderField) {
+      postSortObj = { [orderField]: 1 };
+    }
+
+    options.sort = { [pathField]: 1 };
+
+    return this.find(filters, fields, options)
+      .populate(populateStr)
+      .then((result) =>
+        isLevelFilteredByQuery
+          ? result
+          : result.filter((node) => {
+              const level = mpathUtil.getLevelByPathAndSeparator(
+                node[pathField],
+                pathSeparator
+              );
+              return level >= minLevel && level <= maxLevel;
+            })
+      )
+      .then((result) => mpathUtil.listToTree(result, postSortObj, treeFields))
+      .catch((err) => console.error(err));
+  };
+
+  /**
+   * Static method of getChildrenTree schema
+   * @param  {Object} args [description]
+   * @return {Promise.<Mongoose.document>}      [description]
+   */
+  schema.methods.getChildrenTree = function (args) {
+    args.rootDoc = this;
 
     return this.constructor.getChildrenTree(args);
   };
+
+  const encodeTreePageCursor = (offset) =>
+    Buffer.from(JSON.stringify({ offset })).toString('base64');
+
+  const decodeTreePageCursor = (cursor) => {
+    let offset;
+
+    try {
+      offset = JSON.parse(Buffer.from(cursor, 'base64').toString()).offset;
+    } catch (ex) {
+      offset = undefined;
+    }
+
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new MpathError('Invalid mpath cursor - cursor cannot be decoded.');
+    }
+
+    return offset;
+  };
+
+  /**
+   * Returns a page of children as a tree, for trees loading one level at a
+   * time. Each node has a 'hasChildren' flag.
+   * @param  {Object} args { parentId, limit, cursor, sort, expandDepth, conditions, fields, session }
+   * @return {Promise.<Object>} { nodes, cursor, hasMore }, cursor is null on the last page
+   */
+  schema.statics.getTreePage = async function getTreePage(args) {
+    const parentId = args && args.parentId ? args.parentId : null;
+    const limit = args && args.limit ? args.limit : 50;
+    const offset = args && args.cursor ? decodeTreePageCursor(args.cursor) : 0;
+    const expandDepth = args && args.expandDepth ? args.expandDepth : 0;
+    const conditions = args && args.conditions ? args.conditions : {};
+    const fields = includeTreeFields(args && args.fields ? args.fields : null);
+    const session = (args && args.session) || null;
+
+    let sort = args && args.sort ? args.sort : null;
+
+    if (!sort) {
+      sort = orderField ? { [orderField]: 1 } : {};
+    }
+
+    // unique sort, so that pages neither overlap nor skip documents
+    const pageSort = Object.assign({}, sort, { _id: 1 });
+    const pageOptions = {
+      sort: pageSort,
+      skip: offset,
+      limit: limit + 1,
+      lean: true,
+      session,
+    };
+
+    let parentLevel = 0;
+    let pageNodes;
+
+    assertScopeConditions(conditions);
+
+    if (parentId) {
+      const parentDoc = await this.findOne(
+        Object.assign(getScopeConditions(conditions), { _id: parentId })
+      ).session(session);
+
+      if (!parentDoc) {
+        throw new MpathError('Invalid mpath parent - parent does not exist.');
+      }
+
+      parentLevel = getLevel(parentDoc[pathField]);
+      pageNodes = await parentDoc.getImmediateChildren(
+        Object.assign({}, conditions),
+        fields,
+        pageOptions
+      );
+    } else {
+      pageNodes = await this.getRoots(
+        Object.assign({}, conditions),
+        fields,
+        pageOptions
+      );
+    }
+
+    const hasMore = pageNodes.length > limit;
+    pageNodes = pageNodes.slice(0, limit);
+
+    let expandedNodes = [];
+
+    if (expandDepth > 0 && pageNodes.length > 0) {
+      const levelConditions = [];
+
+      for (let level = 1; level <= expandDepth; level += 1) {
+        levelConditions.push(getLevelConditions(parentLevel + 1 + level));
+      }
+
+      expandedNodes = await this.find(
+        {
+          $and: [
+            conditions,
+            { $or: pageNodes.map((node) => getDescendantConditions(node)) },
+            { $or: levelConditions },
+          ],
+        },
+        fields,
+        { sort: { [pathField]: 1 }, lean: true }
+      ).session(session);
+    }
+
+    const nodes = pageNodes.concat(expandedNodes);
+    const parentIds = await this.distinct(parentField, {
+      [parentField]: { $in: nodes.map((node) => node._id) },
+    }).session(session);
+    const parentIdSet = new Set(parentIds.map(String));
+
+    nodes.forEach((node) => {
+      node.hasChildren = parentIdSet.has(String(node._id));
+    });
+
+    return {
+      nodes: mpathUtil.listToTree(nodes, sort, treeFields),
+      cursor: hasMore ? encodeTreePageCursor(offset + limit) : null,
+      hasMore,
+    };
+  };
+
+  /**
+   * Report documents whose parent or path is inconsistent with the tree
+   * @param  {Object} options { conditions, session }
+   * @return {Promise.<Object>} Report { valid, orphans, cycles, invalidPathEnds, inconsistentPaths }
+   */
+  schema.statics.verifyTree = async function verifyTree(options) {
+    const conditions = (options && options.conditions) || {};
+    const session = (options && options.session) || undefined;
+
+    assertScopeConditions(conditions);
+
+    const nodes = await findTreeNodes(this, conditions, session);
+    const { expectedPaths, orphans, cycles } = analyzeTree(nodes);
+
+    const invalidPathEnds = nodes.filter((node) => !hasValidPathEnd(node));
+    const inconsistentPaths = nodes.filter((node) => {
+      const expectedPath = expectedPaths.get(String(node._id));
+      return expectedPath !== null && expectedPath !== node[pathField];
+    });
+
+    return {
+      valid:
+        orphans.length === 0 &&
+        cycles.length === 0 &&
+        invalidPathEnds.length === 0 &&
+        inconsistentPaths.length === 0,
+      orphans: orphans.map((node) => ({
+        _id: node._id,
+        parent: node[parentField],
+      })),
+      cycles: cycles.map((node) => ({
+        _id: node._id,
+        parent: node[parentField],
+      })),
+      invalidPathEnds: invalidPathEnds.map((node) => ({
+        _id: node._id,
+        path: node[pathField],
+      })),
+      inconsistentPaths: inconsistentPaths.map((node) => ({
+        _id: node._id,
+        path: node[pathField],
+        expectedPath: expectedPaths.get(String(node._id)),
+      })),
+    };
+  };
+
+  /**
+   * Recompute the path of every document from its chain of parents,
+   * documents below orphans and cycles are skipped. With pathSegment 'TOKEN'
+   * documents without token, e.g. saved before enabling the option, are
+   * assigned one.
+   * @param  {Object} options { dryRun, conditions, session }
+   * @return {Promise.<Object>} Summary { updated, changes, skipped }
+   */
+  schema.statics.rebuildPaths = async function rebuildPaths(options) {
+    const dryRun = Boolean(options && options.dryRun);
+    const conditions = (options && options.conditions) || {};
+    const session = (options && options.session) || undefined;
+
+    assertScopeConditions(conditions);
+
+    const nodes = await findTreeNodes(this, conditions, session);
+
+    const tokenlessNodes =
+      'TOKEN' === pathSegment
+        ? nodes.filter((node) => !node[pathTokenField])
+        : [];
+
+    if (tokenlessNodes.length > 0) {
+      const tokens = await reserveTokens(
+        this.collection,
+        tokenlessNodes.length,
+        session,
+        dryRun
+      );
+
+      tokenlessNodes.forEach((node, index) => {
+        node[pathTokenField] = tokens[index];
+      });
+    }
+
+    // roots of other scopes keep their positions
+    const nextRootPosition =
+      'POSITION' === pathEncoding && scopeFields.length > 0
+        ? decodePosition(
+            await getPathSegment(this.collection, { _id: null }, session)
+          )
+        : 0;
+    const { expectedPaths } = analyzeTree(nodes, nextRootPosition);
+
+    const changes = [];
+    const skipped = [];
+
+    for (const node of nodes) {
+      const newPath = expectedPaths.get(String(node._id));
+
+      if (newPath === null) {
+        skipped.push(node._id);
+      } else if (hasStalePathFields(node, newPath)) {
+        changes.push({ _id: node._id, oldPath: node[pathField], newPath });
+      }
+    }
+
+    if (!dryRun && changes.length > 0) {
+      // positions may move to paths of other changed documents, free them
+      // first to satisfy the unique path index
+      if ('POSITION' === pathEncoding) {
+        for (const batch of _chunk(changes, queryBatchSize)) {
+          await this.collection.updateMany(
+            { _id: { $in: batch.map((change) => change._id) } },
+            { $unset: { [pathField]: '' } },
+            { session }
+          );
+        }
+      }
+
+      await this.collection.bulkWrite(
+        changes.map((change) => ({
+          updateOne: {
+            filter: { _id: change._id },
+            update: { $set: getPathFields(change.newPath) },
+          },
+        })),
+        { session, ordered: false }
+      );
+    }
+
+    return {
+      updated: dryRun ? 0 : changes.length,
+      changes,
+      skipped,
+    };
+  };
+
+  /**
+   * Remove the children field persisted by previous versions of the plugin
+   * @param  {Object} options { session }
+   * @return {Promise.<Object>} Summary { updated }
+   */
+  schema.statics.stripChildrenField = async function stripChildrenField(
+    options
+  ) {
+    const session = (options && options.session) || undefined;
+
+    // the field is not part of the schema, so bypass the mongoose strict mode
+    const result = await this.collection.updateMany(
+      { [childrenField]: { $exists: true } },
+      { $unset: { [childrenField]: '' } },
+      { session }
+    );
+
+    return { updated: result.modifiedCount };
+  };
+
+  /**
+   * Recompute the cached child and descendant counts of every document
+   * @param  {Object} options { conditions, session }
+   * @return {Promise.<Object>} Summary { updated }
+   */
+  schema.statics.recountTree = async function recountTree(options) {
+    if (!hasCountFields) {
+      throw new MpathError(
+        'Invalid mpath options - "childCountField" or "descendantCountField" is required.'
+      );
+    }
+
+    const conditions = (options && options.conditions) || {};
+    const session = (options && options.session) || undefined;
+
+    assertScopeConditions(conditions);
+
+    const nodes = await findTreeNodes(this, conditions, session);
+    const childCounts = new Map();
+    const descendantCounts = new Map();
+
+    const increment = (counts, key) =>
+      counts.set(String(key), (counts.get(String(key)) || 0) + 1);
+
+    // descendants are counted by ancestor path, segments may not be ids
+    for (const node of nodes) {
+      if (node[parentField]) {
+        increment(childCounts, node[parentField]);
+      }
+
+      if (node[pathField]) {
+        getAncestorPaths(node[pathField]).forEach((ancestorPath) =>
+          increment(descendantCounts, ancestorPath)
+        );
+      }
+    }
+
+    const countOps = [];
+
+    for (const node of nodes) {
+      const counts = {};
+
+      if (childCountField) {
+        counts[childCountField] = childCounts.get(String(node._id)) || 0;
+      }
+
+      if (descendantCountField) {
+        counts[descendantCountField] =
+          (node[pathField] && descendantCounts.get(node[pathField])) || 0;
+      }
+
+      if (Object.keys(counts).some((field) => node[field] !== counts[field])) {
+        countOps.push({
+          updateOne: { filter: { _id: node._id }, update: { $set: counts } },
+        });
+      }
+    }
+
+    if (countOps.length > 0) {
+      await this.collection.bulkWrite(countOps, { session, ordered: false });
+    }
+
+    return { updated: countOps.length };
+  };
+
+  /**
+   * Move document and its descendants below a new parent
+   * @param  {Mongoose.document|*} newParent Parent document or id, null moves the document to the root
+   * @param  {Object}              options   [description]
+   * @return {Promise.<Object>} Summary { moved, descendantsUpdated, oldPath, newPath }
+   */
+  schema.methods.moveTo = async function moveTo(newParent, options) {
+    const session = mpathUtil.getSession(this, options);
+    const newParentId =
+      newParent instanceof Object && newParent._id
+        ? newParent._id
+        : newParent || null;
+
+    const savedDoc = await this.collection.findOne(
+      { _id: this._id },
+      { session, projection: { [parentField]: 1, [pathField]: 1 } }
+    );
+
+    if (!savedDoc) {
+      throw new MpathError('Invalid mpath document - document is not saved.');
+    }
+
+    if (newParentId) {
+      if (newParentId.toString() === this._id.toString()) {
+        throw new CycleError(
+          'Invalid mpath parent - a node cannot be its own parent.'
+        );
+      }
+
+      const parentDoc = await this.collection.findOne(
+        { _id: newParentId },
+        { session, projection: { [pathField]: 1 } }
+      );
+
+      if (!parentDoc) {
+        throw new MpathError('Invalid mpath parent - parent does not exist.');
+      }
+
+      if (isCyclicParent(parentDoc, savedDoc)) {
+        throw new CycleError(
+          'Invalid mpath parent - a node cannot be moved below one of its descendants.'
+        );
+      }
+    }
+
+    const oldPath = savedDoc[pathField];
+
+    if (isSameParent(savedDoc[parentField], newParentId) && oldPath) {
+      return {
+        moved: false,
+        descendantsUpdated: 0,
+        oldPath,
+        newPath: oldPath,
+      };
+    }
+
+    // child paths are rewritten from the saved path
+    this[pathField] = oldPath;
+    this[parentField] = newParentId;
+    this.markModified(parentField);
+    descendantUpdateCounts.delete(this);
+
+    await this.save({ session });
+
+    return {
+      moved: true,
+      descendantsUpdated: descendantUpdateCounts.get(this) || 0,
+      oldPath,
+      newPath: this[pathField],
+    };
+  };
+
+  /**
+   * Move a document and its descendants below a new parent
+   * @param  {*}       id          Id of the document to move
+   * @param  {*}       newParentId Id of the new parent, null moves the document to the root
+   * @param  {Object}  options     [description]
+   * @return {Promise.<Object>} Summary { moved, descendantsUpdated, oldPath, newPath }
+   */
+  schema.statics.moveSubtree = async function moveSubtree(
+    id,
+    newParentId,
+    options
+  ) {
+    const doc = await this.findOne({ _id: id }).session(
+      (options && options.session) || null
+    );
+
+    if (!doc) {
+      throw new MpathError('Invalid mpath document - document does not exist.');
+    }
+
+    return doc.moveTo(newParentId, options);
+  };
+
+  /**
+   * Move document to a position among its siblings
+   * @param  {Number} position Zero based position, clamped to the siblings
+   * @param  {Object} options  [description]
+   * @return {Promise.<Mongoose.document>} [description]
+   */
+  schema.methods.moveToPosition = async function moveToPosition(
+    position,
+    options
+  ) {
+    assertOrderField();
+
+    const session = mpathUtil.getSession(this, options);
+    const collection = this.collection;
+    const savedDoc = await collection.findOne(
+      { _id: this._id },
+      { session, projection: getSiblingProjection() }
+    );
+
+    if (!savedDoc) {
+      throw new MpathError('Invalid mpath document - document is not saved.');
+    }
+
+    const lastPosition = await countPositionedSiblings(
+      collection,
+      savedDoc,
+      session
+    );
+    const oldPosition =
+      typeof savedDoc[orderField] === 'number'
+        ? savedDoc[orderField]
+        : lastPosition;
+    const newPosition = Math.max(0, Math.min(position, lastPosition));
+
+    if (newPosition !== savedDoc[orderField]) {
+      const isMovedUp = newPosition < oldPosition;
+      const siblingConditions = Object.assign(
+        getSiblingConditions(savedDoc[parentField], savedDoc),
+        {
+          _id: { $ne: this._id },
+          [orderField]: isMovedUp
+            ? { $gte: newPosition, $lt: oldPosition }
+            : { $gt: oldPosition, $lte: newPosition },
+        }
+      );
+
+      await collection.bulkWrite(
+        [
+          {
+            updateMany: {
+              filter: siblingConditions,
+              update: { $inc: { [orderField]: isMovedUp ? 1 : -1 } },
+            },
+          },
+          {
+            updateOne: {
+              filter: { _id: this._id },
+              update: { $set: { [orderField]: newPosition } },
+            },
+          },
+        ],
+        { session }
+      );
+    }
+
+    this.set(orderField, newPosition);
+    this.unmarkModified(orderField);
+
+    return this;
+  };
+
+  /**
+   * Move document before a sibling, the document is moved to the parent of
+   * sibling if required
+   * @param  {Mongoose.document} sibling [description]
+   * @param  {Object}            options [description]
+   * @return {Promise.<Mongoose.document>} [description]
+   */
+  schema.methods.moveBefore = function moveBefore(sibling, options) {
+    return moveNextToSibling(this, sibling, 0, options);
+  };
+
+  /**
+   * Move document after a sibling, the document is moved to the parent of
+   * sibling if required
+   * @param  {Mongoose.document} sibling [description]
+   * @param  {Object}            options [description]
+   * @return {Promise.<Mongoose.document>} [description]
+   */
+  schema.methods.moveAfter = function moveAfter(sibling, options) {
+    return moveNextToSibling(this, sibling, 1, options);
+  };
+
+  /**
+   * Move a document to the last position among the children of this document
+   * @param  {Mongoose.document} child   [description]
+   * @param  {Object}            options [description]
+   * @return {Promise.<Mongoose.document>} child
+   */
+  schema.methods.appendChild = async function appendChild(child, options) {
+    assertOrderField();
+
+    const session = mpathUtil.getSession(this, options);
+
+    child[parentField] = this._id;
+
+    if (child.isNew || child.isModified(parentField)) {
+      return child.save({ session });
+    }
+
+    return child.moveToPosition(Infinity, { session });
+  };
 }
 
 module.exports = exports = mpathPlugin;
 module.exports.util = mpathUtil;
+module.exports.errors = mpathErrors;
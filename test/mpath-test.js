@@ -13,11 +13,30 @@ const should = chai.should();
 mongoose.Promise = global.Promise;
 mongoose.set('strictQuery', false);
 
-describe('mpath plugin', () => {
+const mpathPluginSuite = (fieldOptions) => {
+  const PARENT = fieldOptions.parentField || 'parent';
+  const PATH = fieldOptions.pathField || 'path';
+  const CHILDREN = fieldOptions.childrenField || 'children';
+  const LEVEL = fieldOptions.levelVirtual || 'level';
+  const treeFields = { parentField: PARENT, childrenField: CHILDREN };
+
   // Utils
+  const expectRejection = async (promise) => {
+    let error;
+
+    try {
+      await promise;
+    } catch (ex) {
+      error = ex;
+    }
+
+    should.exist(error);
+    return error;
+  };
+
   const locationsToPathObject = (locations) =>
     locations.reduce((result, location) => {
-      result[location.name] = location.path;
+      result[location.name] = location[PATH];
       return result;
     }, {});
 
@@ -27,6 +46,7 @@ describe('mpath plugin', () => {
   let LocationSchema = new mongoose.Schema({ _id: String, name: String });
 
   LocationSchema.plugin(MpathPlugin, {
+    ...fieldOptions,
     modelName: 'Location',
     idType: String,
     pathSeparator: '#',
@@ -54,17 +74,17 @@ describe('mpath plugin', () => {
   const createLocations = async () => {
     africa = new Location({ _id: 'af', name: 'Africa' });
     europe = new Location({ _id: 'eu', name: 'Europe' });
-    norway = new Location({ _id: 'no', name: 'Norway', parent: europe });
-    sweden = new Location({ _id: 'se', name: 'Sweden', parent: europe });
+    norway = new Location({ _id: 'no', name: 'Norway', [PARENT]: europe });
+    sweden = new Location({ _id: 'se', name: 'Sweden', [PARENT]: europe });
     stockholm = new Location({
       _id: 'sthlm',
       name: 'Stockholm',
-      parent: sweden,
+      [PARENT]: sweden,
     });
     skansen = new Location({
       _id: 'skansen',
       name: 'Skansen',
-      parent: stockholm,
+      [PARENT]: stockholm,
     });
 
     await Location.deleteMany();
@@ -123,7 +143,10 @@ describe('mpath plugin', () => {
 
     it('should add fields to schema (default options)', () => {
       const DefaultLocationSchema = new mongoose.Schema({ name: String });
-      DefaultLocationSchema.plugin(MpathPlugin, { modelName: 'SomeLocation' });
+      DefaultLocationSchema.plugin(MpathPlugin, {
+        ...fieldOptions,
+        modelName: 'SomeLocation',
+      });
 
       const LocationModel = dbConnection.model(
         'SomeLocation',
@@ -131,9 +154,10 @@ describe('mpath plugin', () => {
       );
 
       const schemaPaths = LocationModel.schema.paths;
-      should.exist(schemaPaths.children);
-      should.exist(schemaPaths.parent);
-      should.exist(schemaPaths.path);
+      should.not.exist(schemaPaths[CHILDREN]);
+      should.exist(LocationModel.schema.virtuals[CHILDREN]);
+      should.exist(schemaPaths[PARENT]);
+      should.exist(schemaPaths[PATH]);
     });
 
     it('should add fields to schema (custom options)', async () => {
@@ -145,6 +169,7 @@ describe('mpath plugin', () => {
       });
 
       CustomLocationSchema.plugin(MpathPlugin, {
+        ...fieldOptions,
         modelName: 'SomeOtherLocation',
         idType: String,
         pathSeparator: '|',
@@ -159,20 +184,20 @@ describe('mpath plugin', () => {
       const schemaPaths = CustomLocation.schema.paths;
 
       // check parent type
-      schemaPaths.parent.options.type.should.eql(String);
+      schemaPaths[PARENT].options.type.should.eql(String);
 
       // check path separator
       const parentLocation = new CustomLocation({ name: 'Super City' });
       const childLocation = new CustomLocation({
         name: 'Sub City',
-        parent: parentLocation,
+        [PARENT]: parentLocation,
       });
 
       await parentLocation.save();
       await childLocation.save();
 
       const expectedPath = `${parentLocation._id.toString()}|${childLocation._id.toString()}`;
-      childLocation.path.should.equal(expectedPath);
+      childLocation[PATH].should.equal(expectedPath);
     });
   });
 
@@ -180,34 +205,35 @@ describe('mpath plugin', () => {
     it("should not perform any operations when document isn't new or hasn't changed parent", async () => {
       sinon.spy(sweden.collection, 'updateMany');
 
-      const pathBeforeSave = sweden.path;
+      const pathBeforeSave = sweden[PATH];
 
       await sweden.save();
 
-      sweden.path.should.equal(pathBeforeSave);
+      sweden[PATH].should.equal(pathBeforeSave);
       sinon.assert.notCalled(sweden.collection.updateMany);
+      sweden.collection.updateMany.restore();
     });
 
     it('should set parent', () => {
-      should.not.exist(africa.parent);
-      should.not.exist(europe.parent);
-      norway.parent.should.equal(europe._id);
-      sweden.parent.should.equal(europe._id);
-      stockholm.parent.should.equal(sweden._id);
-      skansen.parent.should.equal(stockholm._id);
+      should.not.exist(africa[PARENT]);
+      should.not.exist(europe[PARENT]);
+      norway[PARENT].should.equal(europe._id);
+      sweden[PARENT].should.equal(europe._id);
+      stockholm[PARENT].should.equal(sweden._id);
+      skansen[PARENT].should.equal(stockholm._id);
     });
 
     it('should set path', () => {
-      africa.path.should.equal('af');
-      europe.path.should.equal('eu');
-      norway.path.should.equal('eu#no');
-      sweden.path.should.equal('eu#se');
-      stockholm.path.should.equal('eu#se#sthlm');
-      skansen.path.should.equal('eu#se#sthlm#skansen');
+      africa[PATH].should.equal('af');
+      europe[PATH].should.equal('eu');
+      norway[PATH].should.equal('eu#no');
+      sweden[PATH].should.equal('eu#se');
+      stockholm[PATH].should.equal('eu#se#sthlm');
+      skansen[PATH].should.equal('eu#se#sthlm#skansen');
     });
 
     it('should update child paths', async () => {
-      sweden.parent = africa;
+      sweden[PARENT] = africa;
       await sweden.save();
 
       const locations = await Location.find({});
@@ -223,6 +249,194 @@ describe('mpath plugin', () => {
       });
     });
 
+    describe('subtree path rewrite', () => {
+      const addLocationsBelow = (parent, count) =>
+        Location.insertMany(
+          _.range(count).map((i) => ({
+            _id: `${parent._id}-${i}`,
+            name: `Sub ${i}`,
+            [PARENT]: parent._id,
+            [PATH]: `${parent[PATH]}#${parent._id}-${i}`,
+          }))
+        );
+
+      const countMoveRoundTrips = async (subtreeSize) => {
+        await createLocations();
+        await addLocationsBelow(stockholm, subtreeSize);
+
+        const updateSpy = sinon.spy(Location.collection, 'updateMany');
+
+        sweden[PARENT] = africa;
+        await sweden.save();
+
+        updateSpy.restore();
+
+        const movedCount = await Location.countDocuments({
+          [PATH]: { $regex: '^af#se#' },
+        });
+        movedCount.should.equal(subtreeSize + 2);
+
+        return updateSpy.callCount;
+      };
+
+      it('should rewrite all descendants in a single round trip', async () => {
+        const smallSubtreeRoundTrips = await countMoveRoundTrips(10);
+        const largeSubtreeRoundTrips = await countMoveRoundTrips(500);
+
+        smallSubtreeRoundTrips.should.equal(1);
+        largeSubtreeRoundTrips.should.equal(smallSubtreeRoundTrips);
+      });
+
+      it('should rewrite descendants one by one using pathRewrite="STREAM"', async () => {
+        const StreamSchema = new mongoose.Schema({ _id: String, name: String });
+        StreamSchema.plugin(MpathPlugin, {
+          ...fieldOptions,
+          modelName: 'StreamLocation',
+          idType: String,
+          pathRewrite: 'STREAM',
+        });
+        const StreamLocation = mongoose.model('StreamLocation', StreamSchema);
+        await StreamLocation.deleteMany({});
+
+        const north = new StreamLocation({ _id: 'n', name: 'North' });
+        const south = new StreamLocation({ _id: 's', name: 'South' });
+        const east = new StreamLocation({
+          _id: 'e',
+          name: 'East',
+          [PARENT]: north,
+        });
+        const west = new StreamLocation({
+          _id: 'w',
+          name: 'West',
+          [PARENT]: east,
+        });
+        const central = new StreamLocation({
+          _id: 'c',
+          name: 'Central',
+          [PARENT]: west,
+        });
+        await north.save();
+        await south.save();
+        await east.save();
+        await west.save();
+        await central.save();
+
+        const updateSpy = sinon.spy(StreamLocation.collection, 'updateMany');
+
+        east[PARENT] = south;
+        await east.save();
+
+        updateSpy.restore();
+        updateSpy.callCount.should.equal(2);
+
+        const locations = await StreamLocation.find({});
+        locationsToPathObject(locations).should.eql({
+          North: 'n',
+          South: 's',
+          East: 's#e',
+          West: 's#e#w',
+          Central: 's#e#w#c',
+        });
+
+        await StreamLocation.deleteMany({});
+      });
+    });
+
+    describe('cycle detection', () => {
+      const expectUnchangedPaths = async () => {
+        const locations = await Location.find({});
+        const pathObject = locationsToPathObject(locations);
+
+        pathObject.should.eql({
+          Africa: 'af',
+          Europe: 'eu',
+          Norway: 'eu#no',
+          Sweden: 'eu#se',
+          Stockholm: 'eu#se#sthlm',
+          Skansen: 'eu#se#sthlm#skansen',
+        });
+      };
+
+      it('should reject the document itself as parent', async () => {
+        sweden[PARENT] = sweden;
+
+        const error = await expectRejection(sweden.save());
+
+        error.should.be.an.instanceof(MpathPlugin.errors.CycleError);
+        await expectUnchangedPaths();
+      });
+
+      it('should reject a descendant as parent', async () => {
+        sweden[PARENT] = skansen;
+
+        const error = await expectRejection(sweden.save());
+
+        error.should.be.an.instanceof(MpathPlugin.errors.CycleError);
+        error.should.be.an.instanceof(MpathPlugin.errors.MpathError);
+        await expectUnchangedPaths();
+      });
+
+      it('should allow a sibling of an ancestor as parent', async () => {
+        stockholm[PARENT] = norway;
+        await stockholm.save();
+
+        stockholm[PATH].should.equal('eu#no#sthlm');
+      });
+    });
+
+    describe('sessions', () => {
+      let session;
+
+      beforeEach(async () => {
+        session = await mongoose.startSession();
+      });
+
+      afterEach(async () => {
+        sinon.restore();
+        await session.endSession();
+      });
+
+      const assertSessionIsUsed = (spy) => {
+        sinon.assert.called(spy);
+        spy.args.forEach((args) => args[2].session.should.equal(session));
+      };
+
+      it('should rewrite child paths using the session passed to save()', async () => {
+        const updateSpy = sinon.spy(Location.collection, 'updateMany');
+
+        sweden[PARENT] = africa;
+        await sweden.save({ session });
+
+        assertSessionIsUsed(updateSpy);
+        updateSpy.callCount.should.equal(1);
+      });
+
+      it('should rewrite child paths using the session of the document', async () => {
+        const updateSpy = sinon.spy(Location.collection, 'updateMany');
+
+        sweden.$session(session);
+        sweden[PARENT] = africa;
+        await sweden.save();
+
+        assertSessionIsUsed(updateSpy);
+
+        const locations = await Location.find({});
+        locationsToPathObject(locations).should.containSubset({
+          Sweden: 'af#se',
+          Stockholm: 'af#se#sthlm',
+          Skansen: 'af#se#sthlm#skansen',
+        });
+      });
+
+      it('should reparent children using the session passed to remove()', async () => {
+        const updateSpy = sinon.spy(Location.collection, 'updateMany');
+
+        await sweden.remove({ session });
+
+        assertSessionIsUsed(updateSpy);
+      });
+    });
+
     it('should allow empty parent when using string as ID type', async function () {
       const randomId = () => _.shuffle(_.range(0, 9)).join('');
       const LocationSchema = new mongoose.Schema({
@@ -230,6 +444,7 @@ describe('mpath plugin', () => {
         name: String,
       });
       LocationSchema.plugin(MpathPlugin, {
+        ...fieldOptions,
         modelName: 'LocationWithStringAsIdType',
         idType: String,
       });
@@ -239,14 +454,29 @@ describe('mpath plugin', () => {
       );
       await LocationModel.deleteMany({});
 
-      const world = new LocationModel({ _id: 'wo', name: 'World', parent: '' });
+      const world = new LocationModel({
+        _id: 'wo',
+        name: 'World',
+        [PARENT]: '',
+      });
       await world.save();
     });
   });
 
   describe('pre remove middleware', () => {
+    const deleteEntryPoints = {
+      'document.remove()': (location) => location.remove(),
+      'document.deleteOne()': (location) => location.deleteOne(),
+      'Model.deleteOne()': (location) =>
+        Location.deleteOne({ _id: location._id }),
+      'Model.deleteMany()': (location) =>
+        Location.deleteMany({ _id: location._id }),
+      'Model.findOneAndDelete()': (location) =>
+        Location.findOneAndDelete({ _id: location._id }),
+    };
+
     it('should not reparent/delete children when path is undefined', async () => {
-      sweden.path = undefined;
+      sweden[PATH] = undefined;
       await sweden.remove();
 
       const locations = await Location.find({});
@@ -306,6 +536,61 @@ describe('mpath plugin', () => {
           Skansen: 'se#sthlm#skansen',
         });
       });
+
+      Object.keys(deleteEntryPoints).forEach((entryPoint) => {
+        it(`should reparent using ${entryPoint}`, async () => {
+          await deleteEntryPoints[entryPoint](sweden);
+
+          const locations = await Location.find({});
+          const pathObject = locationsToPathObject(locations);
+
+          pathObject.should.eql({
+            Africa: 'af',
+            Europe: 'eu',
+            Norway: 'eu#no',
+            Stockholm: 'eu#sthlm',
+            Skansen: 'eu#sthlm#skansen',
+          });
+        });
+      });
+
+      it('should reparent to the closest remaining ancestor using Model.deleteMany()', async () => {
+        await Location.deleteMany({ _id: { $in: ['eu', 'sthlm'] } });
+
+        const locations = await Location.find({});
+        const pathObject = locationsToPathObject(locations);
+
+        pathObject.should.eql({
+          Africa: 'af',
+          Norway: 'no',
+          Sweden: 'se',
+          Skansen: 'se#skansen',
+        });
+      });
+
+      it('should reparent below removed parents using Model.deleteMany()', async () => {
+        await Location.deleteMany({ _id: { $in: ['se', 'sthlm'] } });
+
+        const locations = await Location.find({});
+        const pathObject = locationsToPathObject(locations);
+
+        pathObject.should.eql({
+          Africa: 'af',
+          Europe: 'eu',
+          Norway: 'eu#no',
+          Skansen: 'eu#skansen',
+        });
+      });
+
+      it('should not query the tree when deleting all documents', async () => {
+        const findSpy = sinon.spy(Location, 'find');
+
+        await Location.deleteMany({});
+
+        findSpy.restore();
+        sinon.assert.notCalled(findSpy);
+        (await Location.countDocuments()).should.equal(0);
+      });
     });
 
     describe('using onDelete="DELETE"', () => {
@@ -315,6 +600,7 @@ describe('mpath plugin', () => {
 
         LocationSchema = new mongoose.Schema({ _id: String, name: String });
         LocationSchema.plugin(MpathPlugin, {
+          ...fieldOptions,
           modelName: 'Location',
           idType: String,
           pathSeparator: '#',
@@ -352,134 +638,557 @@ describe('mpath plugin', () => {
           Norway: 'eu#no',
         });
       });
-    });
-  });
 
-  describe('virtual field "level"', () => {
-    it('should equal the number of ancestors', () => {
-      africa.level.should.equal(1);
-      europe.level.should.equal(1);
-      norway.level.should.equal(2);
-      sweden.level.should.equal(2);
-      stockholm.level.should.equal(3);
-      skansen.level.should.equal(4);
+      Object.keys(deleteEntryPoints).forEach((entryPoint) => {
+        it(`should delete itself and all children using ${entryPoint}`, async () => {
+          await deleteEntryPoints[entryPoint](sweden);
+
+          const locations = await Location.find({});
+          const pathObject = locationsToPathObject(locations);
+
+          pathObject.should.eql({
+            Africa: 'af',
+            Europe: 'eu',
+            Norway: 'eu#no',
+          });
+        });
+      });
+
+      it('should delete nested subtrees using Model.deleteMany()', async () => {
+        await Location.deleteMany({ _id: { $in: ['se', 'sthlm', 'no'] } });
+
+        const locations = await Location.find({});
+        const pathObject = locationsToPathObject(locations);
+
+        pathObject.should.eql({
+          Africa: 'af',
+          Europe: 'eu',
+        });
+      });
+
+      it('should delete children using the session passed to remove()', async () => {
+        const session = await mongoose.startSession();
+        const deleteSpy = sinon.spy(Location.collection, 'deleteMany');
+
+        await sweden.remove({ session });
+
+        sinon.assert.calledOnce(deleteSpy);
+        deleteSpy.args[0][1].session.should.equal(session);
+
+        sinon.restore();
+        await session.endSession();
+      });
     });
   });
 
-  describe('getImmediateChildren()', () => {
-    it('using default params', async () => {
-      const conditions = {};
-      const fields = null;
-      const options = {};
+  describe('update query middleware', () => {
+    const expectMovedSweden = async () => {
+      const locations = await Location.find({});
 
-      const locations = await europe.getImmediateChildren(
-        conditions,
-        fields,
-        options
-      );
+      locationsToPathObject(locations).should.eql({
+        Africa: 'af',
+        Europe: 'eu',
+        Norway: 'eu#no',
+        Sweden: 'af#se',
+        Stockholm: 'af#se#sthlm',
+        Skansen: 'af#se#sthlm#skansen',
+      });
+    };
 
-      locations.map((l) => l.name).should.eql(['Norway', 'Sweden']);
+    it('should update paths using updateOne()', async () => {
+      await Location.updateOne({ _id: 'se' }, { $set: { [PARENT]: 'af' } });
+      await expectMovedSweden();
     });
 
-    it('using conditions (object)', async () => {
-      const conditions = { name: 'Norway' };
-      const fields = null;
-      const options = {};
-
-      const locations = await europe.getImmediateChildren(
-        conditions,
-        fields,
-        options
+    it('should update paths using findOneAndUpdate()', async () => {
+      const location = await Location.findOneAndUpdate(
+        { name: 'Sweden' },
+        { [PARENT]: africa },
+        { new: true }
       );
 
-      locations.map((l) => l.name).should.eql(['Norway']);
+      location[PARENT].should.equal('af');
+      await expectMovedSweden();
     });
 
-    it('using fields', async () => {
-      const conditions = {};
-      const fields = '_id';
-      const options = { lean: true };
+    it('should update paths using updateMany()', async () => {
+      await Location.updateMany(
+        { _id: { $in: ['no', 'se'] } },
+        { $set: { [PARENT]: 'af' } }
+      );
 
-      const locations = await europe.getImmediateChildren(
-        conditions,
-        fields,
-        options
+      const locations = await Location.find({});
+
+      locationsToPathObject(locations).should.eql({
+        Africa: 'af',
+        Europe: 'eu',
+        Norway: 'af#no',
+        Sweden: 'af#se',
+        Stockholm: 'af#se#sthlm',
+        Skansen: 'af#se#sthlm#skansen',
+      });
+    });
+
+    it('should update paths when moving nodes of the same subtree using updateMany()', async () => {
+      await Location.updateMany(
+        { _id: { $in: ['se', 'skansen'] } },
+        { $set: { [PARENT]: 'af' } }
       );
-      locations.should.eql([{ _id: 'no' }, { _id: 'se' }]);
+
+      const locations = await Location.find({});
+
+      locationsToPathObject(locations).should.eql({
+        Africa: 'af',
+        Europe: 'eu',
+        Norway: 'eu#no',
+        Sweden: 'af#se',
+        Stockholm: 'af#se#sthlm',
+        Skansen: 'af#skansen',
+      });
     });
 
-    describe('using options (sort)', () => {
-      it('ASC', async () => {
-        const conditions = {};
-        const fields = 'name';
-        const options = {
-          sort: { name: 1 },
-          lean: true,
-        };
+    it('should update paths when moving a node with its parent using updateMany()', async () => {
+      await Location.updateMany(
+        { _id: { $in: ['se', 'sthlm'] } },
+        { $set: { [PARENT]: 'af' } }
+      );
 
-        const locations = await europe.getImmediateChildren(
-          conditions,
-          fields,
-          options
-        );
+      const locations = await Location.find({});
 
-        locations.should.eql([
-          { _id: 'no', name: 'Norway' },
-          { _id: 'se', name: 'Sweden' },
-        ]);
+      locationsToPathObject(locations).should.eql({
+        Africa: 'af',
+        Europe: 'eu',
+        Norway: 'eu#no',
+        Sweden: 'af#se',
+        Stockholm: 'af#sthlm',
+        Skansen: 'af#sthlm#skansen',
       });
+    });
 
-      it('DESC', async () => {
-        const conditions = {};
-        const fields = 'name';
-        const options = {
-          sort: { name: -1 },
-          lean: true,
-        };
+    it('should update paths when unsetting parent', async () => {
+      await Location.updateOne({ _id: 'se' }, { $unset: { [PARENT]: 1 } });
 
-        const locations = await europe.getImmediateChildren(
-          conditions,
-          fields,
-          options
-        );
+      const locations = await Location.find({});
 
-        locations.should.eql([
-          { _id: 'se', name: 'Sweden' },
-          { _id: 'no', name: 'Norway' },
-        ]);
+      locationsToPathObject(locations).should.eql({
+        Africa: 'af',
+        Europe: 'eu',
+        Norway: 'eu#no',
+        Sweden: 'se',
+        Stockholm: 'se#sthlm',
+        Skansen: 'se#sthlm#skansen',
       });
     });
-  });
 
-  describe('getAllChildren()', () => {
-    it('using default params', async () => {
-      const conditions = {};
-      const fields = null;
-      const options = {};
+    it('should update paths using bulkWrite()', async () => {
+      await Location.bulkWrite([
+        { updateOne: { filter: { _id: 'se' }, update: { [PARENT]: 'af' } } },
+        { updateOne: { filter: { _id: 'no' }, update: { name: 'Norway' } } },
+      ]);
 
-      const locations = await europe.getAllChildren(
-        conditions,
-        fields,
-        options
+      await expectMovedSweden();
+    });
+
+    it('should update paths of applied operations when bulkWrite() fails', async () => {
+      const error = await expectRejection(
+        Location.bulkWrite([
+          { updateOne: { filter: { _id: 'se' }, update: { [PARENT]: 'af' } } },
+          { insertOne: { document: { _id: 'af', name: 'Duplicate' } } },
+        ])
       );
 
-      locations
-        .map((l) => l.name)
-        .should.eql(['Norway', 'Sweden', 'Stockholm', 'Skansen']);
+      error.code.should.equal(11000);
+      await expectMovedSweden();
     });
 
-    it('using conditions (object)', async () => {
-      const conditions = { name: 'Stockholm' };
-      const fields = null;
+    it('should update paths using replaceOne()', async () => {
+      await Location.replaceOne(
+        { _id: 'se' },
+        { name: 'Sweden', [PARENT]: 'af' }
+      );
+
+      await expectMovedSweden();
+    });
+
+    it('should update paths using findOneAndReplace()', async () => {
+      await Location.findOneAndReplace(
+        { _id: 'se' },
+        { name: 'Sweden', [PARENT]: 'af' }
+      );
+
+      await expectMovedSweden();
+    });
+
+    it('should update paths using replaceOne() in bulkWrite()', async () => {
+      await Location.bulkWrite([
+        {
+          replaceOne: {
+            filter: { _id: 'se' },
+            replacement: { name: 'Sweden', [PARENT]: 'af' },
+          },
+        },
+      ]);
+
+      await expectMovedSweden();
+    });
+
+    it('should restore the path of replaced documents', async () => {
+      await Location.replaceOne(
+        { _id: 'se' },
+        { name: 'Sweden', [PARENT]: 'eu' }
+      );
+
+      const location = await Location.findById('se');
+      location[PATH].should.equal('eu#se');
+    });
+
+    it('should not query the tree when parent is not updated', async () => {
+      const findSpy = sinon.spy(Location, 'find');
+
+      await Location.updateOne({ _id: 'se' }, { $set: { name: 'Sverige' } });
+
+      findSpy.restore();
+      sinon.assert.notCalled(findSpy);
+    });
+
+    it('should reject a descendant as parent', async () => {
+      const error = await expectRejection(
+        Location.updateOne({ _id: 'se' }, { $set: { [PARENT]: 'sthlm' } })
+      );
+
+      error.should.be.an.instanceof(MpathPlugin.errors.CycleError);
+
+      const location = await Location.findById('se');
+      location[PARENT].should.equal('eu');
+      location[PATH].should.equal('eu#se');
+    });
+  });
+
+  describe('moveTo()', () => {
+    it('should move a document and its descendants', async () => {
+      const summary = await sweden.moveTo(africa);
+
+      summary.should.eql({
+        moved: true,
+        descendantsUpdated: 2,
+        oldPath: 'eu#se',
+        newPath: 'af#se',
+      });
+
+      const locations = await Location.find({});
+
+      locationsToPathObject(locations).should.eql({
+        Africa: 'af',
+        Europe: 'eu',
+        Norway: 'eu#no',
+        Sweden: 'af#se',
+        Stockholm: 'af#se#sthlm',
+        Skansen: 'af#se#sthlm#skansen',
+      });
+    });
+
+    it('should move a document to the root', async () => {
+      const summary = await stockholm.moveTo(null);
+
+      summary.should.eql({
+        moved: true,
+        descendantsUpdated: 1,
+        oldPath: 'eu#se#sthlm',
+        newPath: 'sthlm',
+      });
+    });
+
+    it('should not move a document to its current parent', async () => {
+      const saveSpy = sinon.spy(sweden, 'save');
+      const summary = await sweden.moveTo('eu');
+
+      saveSpy.restore();
+      sinon.assert.notCalled(saveSpy);
+
+      summary.should.eql({
+        moved: false,
+        descendantsUpdated: 0,
+        oldPath: 'eu#se',
+        newPath: 'eu#se',
+      });
+    });
+
+    it('should reject a missing parent', async () => {
+      const error = await expectRejection(sweden.moveTo('missing'));
+
+      error.should.be.an.instanceof(MpathPlugin.errors.MpathError);
+      error.message.should.equal(
+        'Invalid mpath parent - parent does not exist.'
+      );
+    });
+
+    it('should reject a descendant as parent', async () => {
+      const error = await expectRejection(sweden.moveTo(skansen));
+
+      error.should.be.an.instanceof(MpathPlugin.errors.CycleError);
+
+      const location = await Location.findById('se');
+      location[PATH].should.equal('eu#se');
+    });
+
+    it('should moveSubtree() by id', async () => {
+      const summary = await Location.moveSubtree('se', 'no');
+
+      summary.should.eql({
+        moved: true,
+        descendantsUpdated: 2,
+        oldPath: 'eu#se',
+        newPath: 'eu#no#se',
+      });
+
+      const location = await Location.findById('skansen');
+      location[PATH].should.equal('eu#no#se#sthlm#skansen');
+    });
+
+    it('should reject moveSubtree() of a missing document', async () => {
+      const error = await expectRejection(
+        Location.moveSubtree('missing', 'af')
+      );
+
+      error.should.be.an.instanceof(MpathPlugin.errors.MpathError);
+    });
+  });
+
+  describe('getTreePage()', () => {
+    it('should paginate root documents', async () => {
+      const firstPage = await Location.getTreePage({ limit: 1 });
+
+      firstPage.hasMore.should.equal(true);
+      firstPage.nodes.should.have.length(1);
+      firstPage.nodes[0].name.should.equal('Africa');
+      firstPage.nodes[0].hasChildren.should.equal(false);
+
+      const secondPage = await Location.getTreePage({
+        limit: 1,
+        cursor: firstPage.cursor,
+      });
+
+      secondPage.hasMore.should.equal(false);
+      should.not.exist(secondPage.cursor);
+      secondPage.nodes.should.have.length(1);
+      secondPage.nodes[0].name.should.equal('Europe');
+      secondPage.nodes[0].hasChildren.should.equal(true);
+      secondPage.nodes[0][CHILDREN].should.eql([]);
+    });
+
+    it('should get children of a parent', async () => {
+      const page = await Location.getTreePage({
+        parentId: 'eu',
+        sort: { name: -1 },
+      });
+
+      _.map(page.nodes, 'name').should.eql(['Sweden', 'Norway']);
+      _.map(page.nodes, 'hasChildren').should.eql([true, false]);
+      page.hasMore.should.equal(false);
+    });
+
+    it('should expand levels below the page', async () => {
+      const page = await Location.getTreePage({
+        parentId: 'eu',
+        expandDepth: 1,
+        fields: 'name',
+      });
+
+      _.map(page.nodes, 'name').should.eql(['Norway', 'Sweden']);
+      page.nodes[0][CHILDREN].should.eql([]);
+
+      const stockholmNode = page.nodes[1][CHILDREN][0];
+      stockholmNode.name.should.equal('Stockholm');
+      stockholmNode.hasChildren.should.equal(true);
+      stockholmNode[CHILDREN].should.eql([]);
+    });
+
+    it('should reject invalid cursors', async () => {
+      const error = await expectRejection(
+        Location.getTreePage({ cursor: 'invalid' })
+      );
+
+      error.should.be.an.instanceof(MpathPlugin.errors.MpathError);
+    });
+  });
+
+  describe('verifyTree()', () => {
+    it('should report a valid tree', async () => {
+      const report = await Location.verifyTree();
+
+      report.should.eql({
+        valid: true,
+        orphans: [],
+        cycles: [],
+        invalidPathEnds: [],
+        inconsistentPaths: [],
+      });
+    });
+
+    it('should report orphans, cycles and inconsistent paths', async () => {
+      await Location.collection.updateOne(
+        { _id: 'no' },
+        { $set: { [PARENT]: 'missing' } }
+      );
+      await Location.collection.updateOne(
+        { _id: 'sthlm' },
+        { $set: { [PATH]: 'eu#sthlm' } }
+      );
+      await Location.collection.updateOne(
+        { _id: 'af' },
+        { $set: { [PATH]: 'af#other' } }
+      );
+      await Location.collection.insertMany([
+        { _id: 'x', [PARENT]: 'y', [PATH]: 'y#x' },
+        { _id: 'y', [PARENT]: 'x', [PATH]: 'x#y' },
+      ]);
+
+      const report = await Location.verifyTree();
+
+      report.valid.should.equal(false);
+      report.orphans.should.eql([{ _id: 'no', parent: 'missing' }]);
+      _.map(report.cycles, '_id').sort().should.eql(['x', 'y']);
+      report.invalidPathEnds.should.eql([{ _id: 'af', path: 'af#other' }]);
+      report.inconsistentPaths.should.eql([
+        { _id: 'af', path: 'af#other', expectedPath: 'af' },
+        { _id: 'sthlm', path: 'eu#sthlm', expectedPath: 'eu#se#sthlm' },
+      ]);
+    });
+  });
+
+  describe('rebuildPaths()', () => {
+    beforeEach(async () => {
+      await Location.collection.updateOne(
+        { _id: 'sthlm' },
+        { $set: { [PATH]: 'eu#sthlm' } }
+      );
+      await Location.collection.updateOne(
+        { _id: 'skansen' },
+        { $unset: { [PATH]: '' } }
+      );
+      await Location.collection.insertOne({
+        _id: 'orphan',
+        name: 'Orphan',
+        [PARENT]: 'missing',
+        [PATH]: 'orphan',
+      });
+    });
+
+    it('should report changes without writing when using dryRun', async () => {
+      const summary = await Location.rebuildPaths({ dryRun: true });
+
+      summary.should.eql({
+        updated: 0,
+        changes: [
+          { _id: 'sthlm', oldPath: 'eu#sthlm', newPath: 'eu#se#sthlm' },
+          {
+            _id: 'skansen',
+            oldPath: undefined,
+            newPath: 'eu#se#sthlm#skansen',
+          },
+        ],
+        skipped: ['orphan'],
+      });
+
+      const location = await Location.findById('sthlm');
+      location[PATH].should.equal('eu#sthlm');
+    });
+
+    it('should rebuild paths from parents', async () => {
+      const summary = await Location.rebuildPaths();
+      summary.updated.should.equal(2);
+
+      const locations = await Location.find({});
+
+      locationsToPathObject(locations).should.eql({
+        Africa: 'af',
+        Europe: 'eu',
+        Norway: 'eu#no',
+        Sweden: 'eu#se',
+        Stockholm: 'eu#se#sthlm',
+        Skansen: 'eu#se#sthlm#skansen',
+        Orphan: 'orphan',
+      });
+
+      const report = await Location.verifyTree();
+      report.inconsistentPaths.should.eql([]);
+    });
+  });
+
+  describe('virtual field "children"', () => {
+    it('should not be persisted', async () => {
+      sweden[CHILDREN] = [norway];
+      await sweden.save();
+
+      const location = await Location.collection.findOne({ _id: 'se' });
+      should.not.exist(location[CHILDREN]);
+    });
+
+    it('should only be set by getChildrenTree()', async () => {
+      const location = await Location.findById('se');
+      should.not.exist(location[CHILDREN]);
+
+      const tree = await location.getChildrenTree({});
+      tree[0]._id.should.equal('sthlm');
+      tree[0][CHILDREN][0]._id.should.equal('skansen');
+    });
+  });
+
+  describe('stripChildrenField()', () => {
+    it('should unset children persisted by previous versions', async () => {
+      await Location.collection.updateMany(
+        { _id: { $in: ['eu', 'se'] } },
+        { $set: { [CHILDREN]: [] } }
+      );
+
+      const summary = await Location.stripChildrenField();
+      summary.should.eql({ updated: 2 });
+
+      const count = await Location.collection.countDocuments({
+        [CHILDREN]: { $exists: true },
+      });
+      count.should.equal(0);
+    });
+  });
+
+  describe('virtual field "level"', () => {
+    it('should equal the number of ancestors', () => {
+      africa[LEVEL].should.equal(1);
+      europe[LEVEL].should.equal(1);
+      norway[LEVEL].should.equal(2);
+      sweden[LEVEL].should.equal(2);
+      stockholm[LEVEL].should.equal(3);
+      skansen[LEVEL].should.equal(4);
+    });
+  });
+
+  describe('getImmediateChildren()', () => {
+    it('using default params', async () => {
+      const conditions = {};
+      const fields = null;
       const options = {};
 
-      const locations = await europe.getAllChildren(
+      const locations = await europe.getImmediateChildren(
         conditions,
         fields,
         options
       );
 
-      locations.map((l) => l.name).should.eql(['Stockholm']);
+      locations.map((l) => l.name).should.eql(['Norway', 'Sweden']);
+    });
+
+    it('using conditions (object)', async () => {
+      const conditions = { name: 'Norway' };
+      const fields = null;
+      const options = {};
+
+      const locations = await europe.getImmediateChildren(
+        conditions,
+        fields,
+        options
+      );
+
+      locations.map((l) => l.name).should.eql(['Norway']);
     });
 
     it('using fields', async () => {
@@ -487,18 +1196,12 @@ describe('mpath plugin', () => {
       const fields = '_id';
       const options = { lean: true };
 
-      const locations = await europe.getAllChildren(
+      const locations = await europe.getImmediateChildren(
         conditions,
         fields,
         options
       );
-
-      locations.should.eql([
-        { _id: 'no' },
-        { _id: 'se' },
-        { _id: 'sthlm' },
-        { _id: 'skansen' },
-      ]);
+      locations.should.eql([{ _id: 'no' }, { _id: 'se' }]);
     });
 
     describe('using options (sort)', () => {
@@ -510,7 +1213,7 @@ describe('mpath plugin', () => {
           lean: true,
         };
 
-        const locations = await europe.getAllChildren(
+        const locations = await europe.getImmediateChildren(
           conditions,
           fields,
           options
@@ -518,8 +1221,6 @@ describe('mpath plugin', () => {
 
         locations.should.eql([
           { _id: 'no', name: 'Norway' },
-          { _id: 'skansen', name: 'Skansen' },
-          { _id: 'sthlm', name: 'Stockholm' },
           { _id: 'se', name: 'Sweden' },
         ]);
       });
@@ -532,7 +1233,7 @@ describe('mpath plugin', () => {
           lean: true,
         };
 
-        const locations = await europe.getAllChildren(
+        const locations = await europe.getImmediateChildren(
           conditions,
           fields,
           options
@@ -540,62 +1241,281 @@ describe('mpath plugin', () => {
 
         locations.should.eql([
           { _id: 'se', name: 'Sweden' },
-          { _id: 'sthlm', name: 'Stockholm' },
-          { _id: 'skansen', name: 'Skansen' },
           { _id: 'no', name: 'Norway' },
         ]);
       });
     });
   });
 
-  describe('getParent()', () => {
-    it('should get the parent', async () => {
-      const fields = 'name';
-      const options = { lean: true };
-
-      const expectedParents = [
-        [europe, null],
-        [norway, { _id: 'eu', name: 'Europe' }],
-        [sweden, { _id: 'eu', name: 'Europe' }],
-        [stockholm, { _id: 'se', name: 'Sweden' }],
-        [skansen, { _id: 'sthlm', name: 'Stockholm' }],
-        [africa, null],
-      ];
+  describe('getAllChildren()', () => {
+    it('using default params', async () => {
+      const conditions = {};
+      const fields = null;
+      const options = {};
 
-      Async.forEachSeries(expectedParents, (arr, asyncDone) => {
-        const child = arr[0];
-        const expectedParent = arr[1];
+      const locations = await europe.getAllChildren(
+        conditions,
+        fields,
+        options
+      );
 
-        child
-          .getParent(fields, options, (error, parent) => {
-            if (null === expectedParent) {
-              should.not.exist(parent);
-            } else {
-              parent.should.eql(expectedParent);
-            }
-          })
-          .then(() => asyncDone());
-      });
+      locations
+        .map((l) => l.name)
+        .should.eql(['Norway', 'Sweden', 'Stockholm', 'Skansen']);
     });
-  });
 
-  describe('getAncestors()', () => {
-    it('using default params', async () => {
-      // initial
-      let ancestors = await skansen.getAncestors();
-      ancestors
-        .map((l) => l.name)
-        .should.eql(['Europe', 'Sweden', 'Stockholm']);
+    it('using conditions (object)', async () => {
+      const conditions = { name: 'Stockholm' };
+      const fields = null;
+      const options = {};
 
-      // after parent change
-      const gothenburg = new Location({
-        _id: 'gtb',
-        name: 'Gothenburg',
-        parent: sweden,
-      });
-      await gothenburg.save();
+      const locations = await europe.getAllChildren(
+        conditions,
+        fields,
+        options
+      );
+
+      locations.map((l) => l.name).should.eql(['Stockholm']);
+    });
+
+    it('using fields', async () => {
+      const conditions = {};
+      const fields = '_id';
+      const options = { lean: true };
+
+      const locations = await europe.getAllChildren(
+        conditions,
+        fields,
+        options
+      );
+
+      locations.should.eql([
+        { _id: 'no' },
+        { _id: 'se' },
+        { _id: 'sthlm' },
+        { _id: 'skansen' },
+      ]);
+    });
+
+    it('should not match siblings sharing an id prefix', async () => {
+      await Location.collection.insertMany([
+        { _id: 'sea', name: 'Sea', [PARENT]: 'eu', [PATH]: 'eu#sea' },
+        { _id: 'bay', name: 'Bay', [PARENT]: 'sea', [PATH]: 'eu#sea#bay' },
+      ]);
+
+      const locations = await sweden.getAllChildren();
+
+      locations.map((l) => l.name).should.eql(['Stockholm', 'Skansen']);
+    });
+
+    it('should scan the path index', async () => {
+      await Location.init();
+
+      const explanation = await sweden.getAllChildren().explain('queryPlanner');
+      const winningPlan = JSON.stringify(
+        [].concat(explanation)[0].queryPlanner.winningPlan
+      );
+
+      winningPlan.should.include('"IXSCAN"');
+      winningPlan.should.include(`"${PATH}_1"`);
+      winningPlan.should.not.include('"COLLSCAN"');
+    });
+
+    describe('using options (sort)', () => {
+      it('ASC', async () => {
+        const conditions = {};
+        const fields = 'name';
+        const options = {
+          sort: { name: 1 },
+          lean: true,
+        };
+
+        const locations = await europe.getAllChildren(
+          conditions,
+          fields,
+          options
+        );
+
+        locations.should.eql([
+          { _id: 'no', name: 'Norway' },
+          { _id: 'skansen', name: 'Skansen' },
+          { _id: 'sthlm', name: 'Stockholm' },
+          { _id: 'se', name: 'Sweden' },
+        ]);
+      });
+
+      it('DESC', async () => {
+        const conditions = {};
+        const fields = 'name';
+        const options = {
+          sort: { name: -1 },
+          lean: true,
+        };
+
+        const locations = await europe.getAllChildren(
+          conditions,
+          fields,
+          options
+        );
+
+        locations.should.eql([
+          { _id: 'se', name: 'Sweden' },
+          { _id: 'sthlm', name: 'Stockholm' },
+          { _id: 'skansen', name: 'Skansen' },
+          { _id: 'no', name: 'Norway' },
+        ]);
+      });
+    });
+  });
+
+  describe('streamDescendants()', () => {
+    const streamNames = async (stream) => {
+      const names = [];
+
+      for await (const location of stream) {
+        names.push(location.name);
+      }
+
+      return names;
+    };
+
+    beforeEach(async () => {
+      await new Location({
+        _id: 'oslo',
+        name: 'Oslo',
+        [PARENT]: norway,
+      }).save();
+    });
+
+    it('should stream in depth first order', async () => {
+      const names = await streamNames(
+        europe.streamDescendants({ order: 'dfs', batchSize: 1 })
+      );
+
+      names.should.eql(['Norway', 'Oslo', 'Sweden', 'Stockholm', 'Skansen']);
+    });
+
+    it('should stream in breadth first order', async () => {
+      const names = await streamNames(
+        europe.streamDescendants({ order: 'bfs', batchSize: 1 })
+      );
+
+      names.should.eql(['Norway', 'Sweden', 'Oslo', 'Stockholm', 'Skansen']);
+    });
+
+    it('using conditions and fields', async () => {
+      const locations = [];
+      const stream = europe.streamDescendants(
+        { order: 'bfs' },
+        { name: { $ne: 'Stockholm' } },
+        'name'
+      );
+
+      for await (const location of stream) {
+        locations.push(location);
+      }
+
+      _.map(locations, 'name').should.eql([
+        'Norway',
+        'Sweden',
+        'Oslo',
+        'Skansen',
+      ]);
+      should.not.exist(locations[0][PATH]);
+    });
+
+    it('should stream in depth first order with a high sorting separator', async () => {
+      const PipeLocationSchema = new mongoose.Schema({
+        _id: String,
+        name: String,
+      });
+      PipeLocationSchema.plugin(MpathPlugin, {
+        ...fieldOptions,
+        modelName: 'PipeLocation',
+        idType: String,
+        pathSeparator: '|',
+      });
+      const PipeLocation = mongoose.model('PipeLocation', PipeLocationSchema);
+      await PipeLocation.deleteMany({});
+
+      // 'a|bc' sorts before 'a|b|x'
+      const a = new PipeLocation({ _id: 'a', name: 'A' });
+      const b = new PipeLocation({ _id: 'b', name: 'B', [PARENT]: a });
+      const bc = new PipeLocation({ _id: 'bc', name: 'BC', [PARENT]: a });
+      const x = new PipeLocation({ _id: 'x', name: 'X', [PARENT]: b });
+
+      for (const location of [a, b, bc, x]) {
+        await location.save();
+      }
+
+      const locations = [];
+
+      for await (const location of a.streamDescendants({}, {}, 'name')) {
+        locations.push(location);
+      }
+
+      _.map(locations, 'name').should.eql(['B', 'X', 'BC']);
+      should.not.exist(locations[0][PATH]);
+
+      await PipeLocation.deleteMany({});
+    });
+
+    it('should stream nothing for leaf documents', async () => {
+      (await streamNames(skansen.streamDescendants())).should.eql([]);
+      (
+        await streamNames(skansen.streamDescendants({ order: 'bfs' }))
+      ).should.eql([]);
+    });
+  });
+
+  describe('getParent()', () => {
+    it('should get the parent', async () => {
+      const fields = 'name';
+      const options = { lean: true };
 
-      skansen.parent = gothenburg;
+      const expectedParents = [
+        [europe, null],
+        [norway, { _id: 'eu', name: 'Europe' }],
+        [sweden, { _id: 'eu', name: 'Europe' }],
+        [stockholm, { _id: 'se', name: 'Sweden' }],
+        [skansen, { _id: 'sthlm', name: 'Stockholm' }],
+        [africa, null],
+      ];
+
+      Async.forEachSeries(expectedParents, (arr, asyncDone) => {
+        const child = arr[0];
+        const expectedParent = arr[1];
+
+        child
+          .getParent(fields, options, (error, parent) => {
+            if (null === expectedParent) {
+              should.not.exist(parent);
+            } else {
+              parent.should.eql(expectedParent);
+            }
+          })
+          .then(() => asyncDone());
+      });
+    });
+  });
+
+  describe('getAncestors()', () => {
+    it('using default params', async () => {
+      // initial
+      let ancestors = await skansen.getAncestors();
+      ancestors
+        .map((l) => l.name)
+        .should.eql(['Europe', 'Sweden', 'Stockholm']);
+
+      // after parent change
+      const gothenburg = new Location({
+        _id: 'gtb',
+        name: 'Gothenburg',
+        [PARENT]: sweden,
+      });
+      await gothenburg.save();
+
+      skansen[PARENT] = gothenburg;
       await skansen.save();
       skansen = await Location.findOne({ _id: 'skansen' });
 
@@ -607,12 +1527,15 @@ describe('mpath plugin', () => {
 
     it('using default params (idType = ObjectID)', async () => {
       const ObjectIdSchema = new mongoose.Schema({ name: String });
-      ObjectIdSchema.plugin(MpathPlugin, { modelName: 'ObjectIdModel' });
+      ObjectIdSchema.plugin(MpathPlugin, {
+        ...fieldOptions,
+        modelName: 'ObjectIdModel',
+      });
       const ObjectIdModel = mongoose.model('ObjectIdModel', ObjectIdSchema);
 
       const alpha = new ObjectIdModel({ name: 'Alpha' });
-      const beta = new ObjectIdModel({ name: 'Beta', parent: alpha });
-      let gamma = new ObjectIdModel({ name: 'Gamma', parent: beta });
+      const beta = new ObjectIdModel({ name: 'Beta', [PARENT]: alpha });
+      let gamma = new ObjectIdModel({ name: 'Gamma', [PARENT]: beta });
       await alpha.save();
       await beta.save();
       await gamma.save();
@@ -624,7 +1547,7 @@ describe('mpath plugin', () => {
       // after parent change
       const delta = new ObjectIdModel({ name: 'Delta' });
       await delta.save();
-      beta.parent = delta;
+      beta[PARENT] = delta;
       await beta.save();
       gamma = await ObjectIdModel.findOne({ name: 'Gamma' });
 
@@ -680,370 +1603,2286 @@ describe('mpath plugin', () => {
     });
   });
 
+  describe('getSiblings()', () => {
+    it('using default params', async () => {
+      const siblings = await sweden.getSiblings();
+      _.map(siblings, 'name').should.eql(['Norway']);
+    });
+
+    it('using includeSelf', async () => {
+      const siblings = await sweden.getSiblings(
+        {},
+        null,
+        { sort: { name: 1 } },
+        { includeSelf: true }
+      );
+      _.map(siblings, 'name').should.eql(['Norway', 'Sweden']);
+    });
+
+    it('of a root document', async () => {
+      const siblings = await africa.getSiblings();
+      _.map(siblings, 'name').should.eql(['Europe']);
+    });
+
+    it('using conditions and fields', async () => {
+      const siblings = await norway.getSiblings({ name: 'Norway' }, 'name');
+      siblings.should.eql([]);
+
+      const fieldSiblings = await norway.getSiblings({}, 'name');
+      should.not.exist(fieldSiblings[0][PATH]);
+      fieldSiblings[0].name.should.equal('Sweden');
+    });
+  });
+
+  describe('getRoot()', () => {
+    it('should get the root document', async () => {
+      const root = await skansen.getRoot();
+      root.name.should.equal('Europe');
+    });
+
+    it('should get the document itself when it is a root document', async () => {
+      const root = await africa.getRoot();
+      root.name.should.equal('Africa');
+    });
+  });
+
+  describe('getRoots()', () => {
+    it('should get documents without parent', async () => {
+      const roots = await Location.getRoots({}, 'name', { sort: { name: 1 } });
+      _.map(roots, 'name').should.eql(['Africa', 'Europe']);
+    });
+
+    it('using conditions', async () => {
+      const roots = await Location.getRoots({ name: 'Africa' });
+      _.map(roots, 'name').should.eql(['Africa']);
+    });
+  });
+
+  describe('getLowestCommonAncestor()', () => {
+    it('should get the common ancestor of documents', async () => {
+      const ancestor = await Location.getLowestCommonAncestor(skansen, norway);
+      ancestor.name.should.equal('Europe');
+    });
+
+    it('should get the common ancestor of ids', async () => {
+      const ancestor = await Location.getLowestCommonAncestor('skansen', 'se');
+      ancestor.name.should.equal('Sweden');
+    });
+
+    it('should return null for documents in different trees', async () => {
+      const ancestor = await Location.getLowestCommonAncestor(africa, skansen);
+      should.not.exist(ancestor);
+    });
+  });
+
+  describe('relationship predicates', () => {
+    it('should check ancestors and descendants', () => {
+      europe.isAncestorOf(skansen).should.equal(true);
+      sweden.isAncestorOf(stockholm).should.equal(true);
+      sweden.isAncestorOf(sweden).should.equal(false);
+      norway.isAncestorOf(stockholm).should.equal(false);
+      stockholm.isAncestorOf(sweden).should.equal(false);
+
+      skansen.isDescendantOf(europe).should.equal(true);
+      skansen.isDescendantOf(skansen).should.equal(false);
+      europe.isDescendantOf(skansen).should.equal(false);
+    });
+
+    it('should check siblings', () => {
+      norway.isSiblingOf(sweden).should.equal(true);
+      africa.isSiblingOf(europe).should.equal(true);
+      sweden.isSiblingOf(sweden).should.equal(false);
+      norway.isSiblingOf(stockholm).should.equal(false);
+    });
+
+    it('should check root documents', () => {
+      africa.isRoot().should.equal(true);
+      sweden.isRoot().should.equal(false);
+    });
+
+    it('should check leaf documents', async () => {
+      (await skansen.isLeaf()).should.equal(true);
+      (await skansen.hasChildren()).should.equal(false);
+      (await stockholm.isLeaf()).should.equal(false);
+      (await stockholm.hasChildren()).should.equal(true);
+    });
+
+    it('should respect pathSeparator and idType', () => {
+      const PredicateSchema = new mongoose.Schema({ name: String });
+      PredicateSchema.plugin(MpathPlugin, {
+        ...fieldOptions,
+        modelName: 'PredicateLocation',
+        pathSeparator: '.',
+      });
+
+      const PredicateLocation = mongoose.model(
+        'PredicateLocation',
+        PredicateSchema
+      );
+      const root = new PredicateLocation({ name: 'root' });
+      const child = new PredicateLocation({ name: 'child', [PARENT]: root });
+      const otherRoot = new PredicateLocation({ name: 'other' });
+
+      root[PATH] = root._id.toString();
+      child[PATH] = `${root[PATH]}.${child._id.toString()}`;
+      // shares the id of root as a string prefix, without being a descendant
+      otherRoot[PATH] = `${root[PATH]}0`;
+
+      root.isAncestorOf(child).should.equal(true);
+      child.isDescendantOf(root).should.equal(true);
+      root.isAncestorOf(otherRoot).should.equal(false);
+      otherRoot.isDescendantOf(root).should.equal(false);
+      root.isSiblingOf(otherRoot).should.equal(true);
+      child.isRoot().should.equal(false);
+    });
+  });
+
   describe('getChildrenTree()', () => {
     it('static method - no args', async () => {
       const expectedTree = [
         {
           __v: 0,
           _id: 'af',
-          children: [],
+          [CHILDREN]: [],
           name: 'Africa',
-          path: 'af',
+          [PATH]: 'af',
         },
         {
           __v: 0,
           _id: 'eu',
-          children: [
+          [CHILDREN]: [
             {
               __v: 0,
               _id: 'no',
-              children: [],
+              [CHILDREN]: [],
               name: 'Norway',
-              parent: 'eu',
-              path: 'eu#no',
+              [PARENT]: 'eu',
+              [PATH]: 'eu#no',
             },
             {
               __v: 0,
               _id: 'se',
-              children: [
+              [CHILDREN]: [
                 {
                   __v: 0,
                   _id: 'sthlm',
-                  children: [
+                  [CHILDREN]: [
                     {
                       __v: 0,
                       _id: 'skansen',
-                      children: [],
+                      [CHILDREN]: [],
                       name: 'Skansen',
-                      parent: 'sthlm',
-                      path: 'eu#se#sthlm#skansen',
+                      [PARENT]: 'sthlm',
+                      [PATH]: 'eu#se#sthlm#skansen',
                     },
                   ],
                   name: 'Stockholm',
-                  parent: 'se',
-                  path: 'eu#se#sthlm',
+                  [PARENT]: 'se',
+                  [PATH]: 'eu#se#sthlm',
                 },
               ],
               name: 'Sweden',
-              parent: 'eu',
-              path: 'eu#se',
+              [PARENT]: 'eu',
+              [PATH]: 'eu#se',
             },
           ],
           name: 'Europe',
-          path: 'eu',
+          [PATH]: 'eu',
+        },
+      ];
+
+      const locationTree = await Location.getChildrenTree();
+      locationTree.should.containSubset(expectedTree);
+    });
+
+    it('static method - args', async () => {
+      const args = {
+        fields: `_id name ${PARENT} ${PATH}`,
+        options: { lean: true },
+      };
+
+      const expectedTree = [
+        {
+          _id: 'af',
+          name: 'Africa',
+          [PATH]: 'af',
+          [CHILDREN]: [],
+        },
+        {
+          _id: 'eu',
+          name: 'Europe',
+          [PATH]: 'eu',
+          [CHILDREN]: [
+            {
+              _id: 'no',
+
+              name: 'Norway',
+              [PARENT]: 'eu',
+              [PATH]: 'eu#no',
+              [CHILDREN]: [],
+            },
+            {
+              _id: 'se',
+              name: 'Sweden',
+              [PARENT]: 'eu',
+              [PATH]: 'eu#se',
+              [CHILDREN]: [
+                {
+                  _id: 'sthlm',
+                  name: 'Stockholm',
+                  [PARENT]: 'se',
+                  [PATH]: 'eu#se#sthlm',
+                  [CHILDREN]: [
+                    {
+                      _id: 'skansen',
+                      [CHILDREN]: [],
+                      name: 'Skansen',
+                      [PARENT]: 'sthlm',
+                      [PATH]: 'eu#se#sthlm#skansen',
+                    },
+                  ],
+                },
+              ],
+            },
+          ],
         },
       ];
 
-      const locationTree = await Location.getChildrenTree();
-      locationTree.should.containSubset(expectedTree);
+      const locationTree = await Location.getChildrenTree(args);
+      locationTree.should.eql(expectedTree);
+    });
+
+    it('includes path and parent fields', async () => {
+      const args = {
+        fields: '_id name',
+        options: { lean: true },
+      };
+
+      const expectedTree = [
+        {
+          _id: 'sthlm',
+          [CHILDREN]: [
+            {
+              _id: 'skansen',
+              [CHILDREN]: [],
+              name: 'Skansen',
+              [PARENT]: 'sthlm',
+              [PATH]: 'eu#se#sthlm#skansen',
+            },
+          ],
+          name: 'Stockholm',
+          [PARENT]: 'se',
+          [PATH]: 'eu#se#sthlm',
+        },
+      ];
+
+      const locationTree = await sweden.getChildrenTree(args);
+      locationTree.should.eql(expectedTree);
+    });
+
+    it('fields as object', async () => {
+      const args = {
+        fields: { _id: 1, name: 1 },
+        options: { lean: true },
+      };
+
+      const expectedTree = [
+        {
+          _id: 'sthlm',
+          [CHILDREN]: [
+            {
+              _id: 'skansen',
+              [CHILDREN]: [],
+              name: 'Skansen',
+              [PARENT]: 'sthlm',
+              [PATH]: 'eu#se#sthlm#skansen',
+            },
+          ],
+          name: 'Stockholm',
+          [PARENT]: 'se',
+          [PATH]: 'eu#se#sthlm',
+        },
+      ];
+
+      const locationTree = await sweden.getChildrenTree(args);
+      locationTree.should.eql(expectedTree);
+    });
+
+    describe('options.lean=false should return Mongoose Documents', () => {
+      it('document method', async () => {
+        const args = { fields: { _id: 1, name: 1 }, options: { lean: false } };
+
+        return sweden.getChildrenTree(args).then((tree) => {
+          tree[0].name.should.eql('Stockholm');
+          tree[0][CHILDREN][0].name.should.eql('Skansen');
+
+          tree[0].getChildrenTree(args).then((subtree) => {
+            subtree[0].name.should.eql('Skansen');
+          });
+        });
+      });
+
+      it('static method', async () => {
+        const args = { fields: { _id: 1, name: 1 }, options: { lean: false } };
+
+        return Location.getChildrenTree(args).then((tree) => {
+          tree[0].name.should.eql('Africa');
+          tree[1].name.should.eql('Europe');
+          tree[1][CHILDREN][0].name.should.eql('Norway');
+          tree[1][CHILDREN][1].name.should.eql('Sweden');
+          tree[1][CHILDREN][1][CHILDREN][0].name.should.eql('Stockholm');
+          tree[1][CHILDREN][1][CHILDREN][0][CHILDREN][0].name.should.eql(
+            'Skansen'
+          );
+        });
+      });
+    });
+
+    it('should filter by minLevel', async () => {
+      const args = {
+        fields: { _id: 1, name: 1 },
+        options: { lean: true },
+        minLevel: 3,
+      };
+      const tree = await Location.getChildrenTree(args);
+
+      tree.should.eql([
+        {
+          _id: 'sthlm',
+          name: 'Stockholm',
+          [PARENT]: 'se',
+          [PATH]: 'eu#se#sthlm',
+          [CHILDREN]: [
+            {
+              _id: 'skansen',
+              [CHILDREN]: [],
+              name: 'Skansen',
+              [PARENT]: 'sthlm',
+              [PATH]: 'eu#se#sthlm#skansen',
+            },
+          ],
+        },
+      ]);
+    });
+
+    it('should filter by maxLevel', async () => {
+      const args = {
+        fields: { _id: 1, name: 1 },
+        options: { lean: true },
+        maxLevel: 2,
+      };
+      const tree = await Location.getChildrenTree(args);
+
+      tree.should.eql([
+        {
+          _id: 'af',
+          name: 'Africa',
+          [PATH]: 'af',
+          [CHILDREN]: [],
+        },
+        {
+          _id: 'eu',
+          name: 'Europe',
+          [PATH]: 'eu',
+          [CHILDREN]: [
+            {
+              _id: 'no',
+
+              name: 'Norway',
+              [PARENT]: 'eu',
+              [PATH]: 'eu#no',
+              [CHILDREN]: [],
+            },
+            {
+              _id: 'se',
+              name: 'Sweden',
+              [PARENT]: 'eu',
+              [PATH]: 'eu#se',
+              [CHILDREN]: [],
+            },
+          ],
+        },
+      ]);
+    });
+
+    it('should filter by minLevel and maxLevel', async () => {
+      const args = {
+        fields: { _id: 1, name: 1 },
+        options: { lean: true },
+        minLevel: 2,
+        maxLevel: 2,
+      };
+      const tree = await Location.getChildrenTree(args);
+
+      tree.should.eql([
+        {
+          _id: 'no',
+
+          name: 'Norway',
+          [PARENT]: 'eu',
+          [PATH]: 'eu#no',
+          [CHILDREN]: [],
+        },
+        {
+          _id: 'se',
+          name: 'Sweden',
+          [PARENT]: 'eu',
+          [PATH]: 'eu#se',
+          [CHILDREN]: [],
+        },
+      ]);
+    });
+
+    describe('should sort', () => {
+      it('ASC', async () => {
+        const args = {
+          filters: { [PARENT]: 'eu' },
+          fields: { _id: 1, name: 1 },
+          options: {
+            lean: true,
+            sort: { name: 1 },
+          },
+        };
+        const tree = await Location.getChildrenTree(args);
+
+        tree.should.eql([
+          {
+            _id: 'no',
+            name: 'Norway',
+            [PARENT]: 'eu',
+            [PATH]: 'eu#no',
+            [CHILDREN]: [],
+          },
+          {
+            _id: 'se',
+            name: 'Sweden',
+            [PARENT]: 'eu',
+            [PATH]: 'eu#se',
+            [CHILDREN]: [],
+          },
+        ]);
+      });
+
+      it('DESC', async () => {
+        const args = {
+          filters: { [PARENT]: 'eu' },
+          fields: { _id: 1, name: 1 },
+          options: {
+            lean: true,
+            sort: { name: -1 },
+          },
+        };
+        const tree = await Location.getChildrenTree(args);
+
+        tree.should.eql([
+          {
+            _id: 'se',
+            name: 'Sweden',
+            [PARENT]: 'eu',
+            [PATH]: 'eu#se',
+            [CHILDREN]: [],
+          },
+          {
+            _id: 'no',
+            name: 'Norway',
+            [PARENT]: 'eu',
+            [PATH]: 'eu#no',
+            [CHILDREN]: [],
+          },
+        ]);
+      });
+    });
+  });
+
+  describe('sibling order', () => {
+    let OrderedLocation;
+    let root;
+    let first;
+    let second;
+    let third;
+    let fourth;
+
+    const getPositions = async () => {
+      const locations = await OrderedLocation.find({}).sort({ [PATH]: 1 });
+
+      return locations.reduce((result, location) => {
+        result[location.name] = `${location[PARENT] || '-'}:${
+          location.position
+        }`;
+        return result;
+      }, {});
+    };
+
+    before(() => {
+      const OrderedLocationSchema = new mongoose.Schema({
+        _id: String,
+        name: String,
+      });
+      OrderedLocationSchema.plugin(MpathPlugin, {
+        ...fieldOptions,
+        modelName: 'OrderedLocation',
+        idType: String,
+        orderField: 'position',
+      });
+      OrderedLocation = mongoose.model(
+        'OrderedLocation',
+        OrderedLocationSchema
+      );
+    });
+
+    beforeEach(async () => {
+      await OrderedLocation.deleteMany({});
+
+      root = new OrderedLocation({ _id: 'r', name: 'Root' });
+      first = new OrderedLocation({ _id: 'a', name: 'First', [PARENT]: root });
+      second = new OrderedLocation({
+        _id: 'b',
+        name: 'Second',
+        [PARENT]: root,
+      });
+      third = new OrderedLocation({ _id: 'c', name: 'Third', [PARENT]: root });
+      fourth = new OrderedLocation({
+        _id: 'd',
+        name: 'Fourth',
+        [PARENT]: third,
+      });
+
+      await root.save();
+      await first.save();
+      await second.save();
+      await third.save();
+      await fourth.save();
+    });
+
+    after(async () => await OrderedLocation.deleteMany({}));
+
+    it('should append new documents to their siblings', async () => {
+      (await getPositions()).should.eql({
+        Root: '-:0',
+        First: 'r:0',
+        Second: 'r:1',
+        Third: 'r:2',
+        Fourth: 'c:0',
+      });
+    });
+
+    it('should insert new documents at an explicit position', async () => {
+      await new OrderedLocation({
+        _id: 'e',
+        name: 'Fifth',
+        [PARENT]: root,
+        position: 1,
+      }).save();
+
+      (await getPositions()).should.containSubset({
+        First: 'r:0',
+        Fifth: 'r:1',
+        Second: 'r:2',
+        Third: 'r:3',
+      });
+    });
+
+    it('should moveToPosition()', async () => {
+      await third.moveToPosition(0);
+      third.position.should.equal(0);
+
+      (await getPositions()).should.containSubset({
+        First: 'r:1',
+        Second: 'r:2',
+        Third: 'r:0',
+      });
+
+      await third.moveToPosition(99);
+      third.position.should.equal(2);
+
+      (await getPositions()).should.containSubset({
+        First: 'r:0',
+        Second: 'r:1',
+        Third: 'r:2',
+      });
+    });
+
+    it('should moveBefore() and moveAfter() a sibling', async () => {
+      await first.moveAfter(second);
+
+      (await getPositions()).should.containSubset({
+        First: 'r:1',
+        Second: 'r:0',
+        Third: 'r:2',
+      });
+
+      await third.moveBefore(second);
+
+      (await getPositions()).should.containSubset({
+        First: 'r:2',
+        Second: 'r:1',
+        Third: 'r:0',
+      });
+    });
+
+    it('should moveBefore() a sibling with another parent', async () => {
+      await fourth.moveBefore(second);
+
+      (await getPositions()).should.eql({
+        Root: '-:0',
+        First: 'r:0',
+        Fourth: 'r:1',
+        Second: 'r:2',
+        Third: 'r:3',
+      });
+      fourth[PATH].should.equal('r#d');
+    });
+
+    it('should appendChild()', async () => {
+      await third.appendChild(first);
+
+      (await getPositions()).should.eql({
+        Root: '-:0',
+        Second: 'r:0',
+        Third: 'r:1',
+        Fourth: 'c:0',
+        First: 'c:1',
+      });
+
+      await root.appendChild(second);
+
+      (await getPositions()).should.containSubset({
+        Third: 'r:0',
+        Second: 'r:1',
+      });
+    });
+
+    it('should close gaps when changing parent', async () => {
+      first[PARENT] = third;
+      await first.save();
+
+      (await getPositions()).should.eql({
+        Root: '-:0',
+        Second: 'r:0',
+        Third: 'r:1',
+        Fourth: 'c:0',
+        First: 'c:1',
+      });
+    });
+
+    it('should close gaps when changing parent using updateMany()', async () => {
+      await OrderedLocation.updateMany(
+        { _id: { $in: ['a', 'b'] } },
+        { $set: { [PARENT]: 'c' } }
+      );
+
+      (await getPositions()).should.eql({
+        Root: '-:0',
+        Third: 'r:0',
+        Fourth: 'c:0',
+        First: 'c:1',
+        Second: 'c:2',
+      });
+    });
+
+    it('should close gaps when removing documents', async () => {
+      await first.remove();
+
+      (await getPositions()).should.eql({
+        Root: '-:0',
+        Second: 'r:0',
+        Third: 'r:1',
+        Fourth: 'c:0',
+      });
+
+      await OrderedLocation.deleteMany({ _id: 'c' });
+
+      (await getPositions()).should.eql({
+        Root: '-:0',
+        Second: 'r:0',
+        Fourth: 'r:1',
+      });
+    });
+
+    it('should return children in order', async () => {
+      await third.moveToPosition(0);
+
+      const children = await root.getImmediateChildren({});
+      children.map((l) => l.name).should.eql(['Third', 'First', 'Second']);
+
+      const tree = await root.getChildrenTree({ fields: 'name' });
+      tree.map((l) => l.name).should.eql(['Third', 'First', 'Second']);
+    });
+  });
+
+  describe('regex characters in ids and separator', () => {
+    let HostileLocation;
+    let dotted;
+    let plus;
+    let bracket;
+    let lookalike;
+    let star;
+
+    /*
+    Sample locations (pathSeparator '::')
+    --------------------------
+    a.b
+      c+
+        (d
+          f?
+    aXb
+      e*
+    */
+
+    before(() => {
+      const HostileSchema = new mongoose.Schema({ _id: String, name: String });
+      HostileSchema.plugin(MpathPlugin, {
+        ...fieldOptions,
+        modelName: 'HostileLocation',
+        idType: String,
+        pathSeparator: '::',
+        onDelete: 'DELETE',
+      });
+
+      HostileLocation = mongoose.model('HostileLocation', HostileSchema);
+    });
+
+    beforeEach(async () => {
+      await HostileLocation.deleteMany({});
+
+      dotted = new HostileLocation({ _id: 'a.b', name: 'Dotted' });
+      plus = new HostileLocation({ _id: 'c+', name: 'Plus', [PARENT]: dotted });
+      bracket = new HostileLocation({
+        _id: '(d',
+        name: 'Bracket',
+        [PARENT]: plus,
+      });
+      const question = new HostileLocation({
+        _id: 'f?',
+        name: 'Question',
+        [PARENT]: bracket,
+      });
+      lookalike = new HostileLocation({ _id: 'aXb', name: 'Lookalike' });
+      star = new HostileLocation({
+        _id: 'e*',
+        name: 'Star',
+        [PARENT]: lookalike,
+      });
+
+      for (const location of [
+        dotted,
+        plus,
+        bracket,
+        question,
+        lookalike,
+        star,
+      ]) {
+        await location.save();
+      }
+    });
+
+    after(() => HostileLocation.deleteMany({}));
+
+    it('should reject ids containing the separator', async () => {
+      const error = await expectRejection(
+        new HostileLocation({ _id: 'g::h', name: 'Separated' }).save()
+      );
+
+      error.should.be.an.instanceof(MpathPlugin.errors.MpathError);
+      error.message.should.equal(
+        'Invalid mpath id - ids cannot contain the path separator "::".'
+      );
+      should.not.exist(await HostileLocation.findById('g::h'));
+    });
+
+    it('should getAllChildren()', async () => {
+      const children = await dotted.getAllChildren({}, null, {
+        sort: { name: 1 },
+      });
+
+      _.map(children, 'name').should.eql(['Bracket', 'Plus', 'Question']);
+    });
+
+    it('should getChildrenTree()', async () => {
+      const tree = await dotted.getChildrenTree({ options: { lean: true } });
+
+      tree.should.have.length(1);
+      tree[0].name.should.equal('Plus');
+      tree[0][CHILDREN][0].name.should.equal('Bracket');
+    });
+
+    it('should update child paths', async () => {
+      bracket[PARENT] = star;
+      await bracket.save();
+
+      const locations = await HostileLocation.find({});
+
+      locationsToPathObject(locations).should.eql({
+        Dotted: 'a.b',
+        Plus: 'a.b::c+',
+        Bracket: 'aXb::e*::(d',
+        Question: 'aXb::e*::(d::f?',
+        Lookalike: 'aXb',
+        Star: 'aXb::e*',
+      });
+    });
+
+    it('should delete descendants', async () => {
+      await dotted.deleteOne();
+
+      const locations = await HostileLocation.find({});
+
+      locationsToPathObject(locations).should.eql({
+        Lookalike: 'aXb',
+        Star: 'aXb::e*',
+      });
+    });
+  });
+
+  describe('depth field', () => {
+    let DepthLocation;
+    let a;
+    let b;
+    let c;
+    let d;
+    let e;
+
+    const getDepths = async () => {
+      const locations = await DepthLocation.find({});
+
+      return locations.reduce((result, location) => {
+        result[location.name] = location.depth;
+        return result;
+      }, {});
+    };
+
+    before(() => {
+      const DepthLocationSchema = new mongoose.Schema({
+        _id: String,
+        name: String,
+      });
+      DepthLocationSchema.plugin(MpathPlugin, {
+        ...fieldOptions,
+        modelName: 'DepthLocation',
+        idType: String,
+        depthField: 'depth',
+      });
+      DepthLocation = mongoose.model('DepthLocation', DepthLocationSchema);
+    });
+
+    beforeEach(async () => {
+      await DepthLocation.deleteMany({});
+
+      a = new DepthLocation({ _id: 'a', name: 'A' });
+      b = new DepthLocation({ _id: 'b', name: 'B', [PARENT]: a });
+      c = new DepthLocation({ _id: 'c', name: 'C', [PARENT]: b });
+      d = new DepthLocation({ _id: 'd', name: 'D', [PARENT]: c });
+      e = new DepthLocation({ _id: 'e', name: 'E' });
+
+      for (const location of [a, b, c, d, e]) {
+        await location.save();
+      }
+    });
+
+    after(async () => await DepthLocation.deleteMany({}));
+
+    it('should store the depth of saved documents', async () => {
+      (await getDepths()).should.eql({ A: 1, B: 2, C: 3, D: 4, E: 1 });
+    });
+
+    it('should update the depth of moved subtrees', async () => {
+      c[PARENT] = null;
+      await c.save();
+
+      (await getDepths()).should.eql({ A: 1, B: 2, C: 1, D: 2, E: 1 });
+
+      await c.moveTo(e);
+
+      (await getDepths()).should.eql({ A: 1, B: 2, C: 2, D: 3, E: 1 });
+    });
+
+    it('should update the depth using update queries', async () => {
+      await DepthLocation.updateOne({ _id: 'b' }, { $set: { [PARENT]: 'e' } });
+
+      (await getDepths()).should.eql({ A: 1, B: 2, C: 3, D: 4, E: 1 });
+
+      await DepthLocation.updateOne({ _id: 'c' }, { $unset: { [PARENT]: 1 } });
+
+      (await getDepths()).should.eql({ A: 1, B: 2, C: 1, D: 2, E: 1 });
+    });
+
+    it('should update the depth of reparented children', async () => {
+      await b.deleteOne();
+
+      (await getDepths()).should.eql({ A: 1, C: 2, D: 3, E: 1 });
+    });
+
+    it('should findByLevel()', async () => {
+      const locations = await DepthLocation.findByLevel(1, {}, null, {
+        sort: { name: 1 },
+      });
+      _.map(locations, 'name').should.eql(['A', 'E']);
+
+      const filteredLocations = await DepthLocation.findByLevel(3, {
+        name: 'B',
+      });
+      filteredLocations.should.eql([]);
+    });
+
+    it('should findByLevel() without depth field', async () => {
+      const locations = await Location.findByLevel(2, {}, null, {
+        sort: { name: 1 },
+      });
+
+      _.map(locations, 'name').should.eql(['Norway', 'Sweden']);
+    });
+
+    it('should filter getChildrenTree() levels in the query', async () => {
+      const findSpy = sinon.spy(DepthLocation, 'find');
+
+      const tree = await DepthLocation.getChildrenTree({
+        maxLevel: 2,
+        options: { lean: true },
+      });
+
+      findSpy.restore();
+      findSpy.getCall(0).args[0].should.eql({
+        depth: { $gte: 1, $lte: 2 },
+      });
+
+      _.map(tree, 'name').should.eql(['A', 'E']);
+      _.map(tree[0][CHILDREN], 'name').should.eql(['B']);
+      tree[0][CHILDREN][0][CHILDREN].should.eql([]);
+    });
+
+    it('should rebuild the depth using rebuildPaths()', async () => {
+      await DepthLocation.collection.updateOne(
+        { _id: 'c' },
+        { $set: { depth: 7 } }
+      );
+
+      const summary = await DepthLocation.rebuildPaths();
+      summary.updated.should.equal(1);
+
+      (await getDepths()).should.eql({ A: 1, B: 2, C: 3, D: 4, E: 1 });
+    });
+  });
+
+  describe('ancestors field', () => {
+    let AncestorLocation;
+    let a;
+    let b;
+    let c;
+    let d;
+    let e;
+
+    const getAncestorNames = async () => {
+      const locations = await AncestorLocation.find({});
+      const namesById = locations.reduce((result, location) => {
+        result[location._id.toString()] = location.name;
+        return result;
+      }, {});
+
+      return locations.reduce((result, location) => {
+        result[location.name] = location.ancestors
+          .map((id) => namesById[id.toString()])
+          .join(',');
+        return result;
+      }, {});
+    };
+
+    before(() => {
+      const AncestorLocationSchema = new mongoose.Schema({ name: String });
+      AncestorLocationSchema.plugin(MpathPlugin, {
+        ...fieldOptions,
+        modelName: 'AncestorLocation',
+        ancestorsField: 'ancestors',
+      });
+      AncestorLocation = mongoose.model(
+        'AncestorLocation',
+        AncestorLocationSchema
+      );
+    });
+
+    beforeEach(async () => {
+      await AncestorLocation.deleteMany({});
+
+      a = new AncestorLocation({ name: 'A' });
+      b = new AncestorLocation({ name: 'B', [PARENT]: a });
+      c = new AncestorLocation({ name: 'C', [PARENT]: b });
+      d = new AncestorLocation({ name: 'D', [PARENT]: c });
+      e = new AncestorLocation({ name: 'E' });
+
+      for (const location of [a, b, c, d, e]) {
+        await location.save();
+      }
+    });
+
+    after(async () => await AncestorLocation.deleteMany({}));
+
+    it('should store the ancestors of saved documents', async () => {
+      (await getAncestorNames()).should.eql({
+        A: '',
+        B: 'A',
+        C: 'A,B',
+        D: 'A,B,C',
+        E: '',
+      });
+
+      const savedDoc = await AncestorLocation.collection.findOne({
+        _id: d._id,
+      });
+      savedDoc.ancestors[0].should.not.be.a('string');
+    });
+
+    it('should update the ancestors of moved subtrees', async () => {
+      b[PARENT] = e;
+      await b.save();
+
+      (await getAncestorNames()).should.eql({
+        A: '',
+        B: 'E',
+        C: 'E,B',
+        D: 'E,B,C',
+        E: '',
+      });
+
+      const savedDoc = await AncestorLocation.collection.findOne({
+        _id: d._id,
+      });
+      savedDoc.ancestors[0].should.not.be.a('string');
+    });
+
+    it('should update the ancestors using update queries', async () => {
+      await AncestorLocation.updateOne(
+        { _id: c._id },
+        { $set: { [PARENT]: e._id } }
+      );
+
+      (await getAncestorNames()).should.eql({
+        A: '',
+        B: 'A',
+        C: 'E',
+        D: 'E,C',
+        E: '',
+      });
+    });
+
+    it('should update the ancestors of reparented children', async () => {
+      await b.deleteOne();
+
+      (await getAncestorNames()).should.eql({
+        A: '',
+        C: 'A',
+        D: 'A,C',
+        E: '',
+      });
+    });
+
+    it('should getAllChildren() using ancestors', async () => {
+      const findSpy = sinon.spy(AncestorLocation, 'find');
+      const children = await b.getAllChildren({}, null, { sort: { name: 1 } });
+
+      findSpy.restore();
+      findSpy.getCall(0).args[0].should.eql({ ancestors: b._id });
+      _.map(children, 'name').should.eql(['C', 'D']);
+    });
+
+    it('should getAncestors() using ancestors', async () => {
+      const ancestors = await d.getAncestors();
+      _.map(ancestors, 'name').should.eql(['A', 'B', 'C']);
+    });
+
+    it('should rebuild the ancestors using rebuildPaths()', async () => {
+      await AncestorLocation.collection.updateOne(
+        { _id: d._id },
+        { $unset: { ancestors: '' } }
+      );
+
+      const summary = await AncestorLocation.rebuildPaths();
+      summary.updated.should.equal(1);
+
+      (await getAncestorNames()).D.should.equal('A,B,C');
+    });
+  });
+
+  describe('count fields', () => {
+    let CountedLocation;
+    let CascadeCountedLocation;
+
+    /*
+    Sample locations (childCount/descendantCount)
+    --------------------------
+    a     2/4
+      b   1/2
+        c 1/1
+          d 0/0
+      e   0/0
+    f     0/0
+    */
+
+    const createCountedModel = (modelName, onDelete) => {
+      const CountedLocationSchema = new mongoose.Schema({
+        _id: String,
+        name: String,
+      });
+      CountedLocationSchema.plugin(MpathPlugin, {
+        ...fieldOptions,
+        modelName,
+        idType: String,
+        onDelete,
+        childCountField: 'childCount',
+        descendantCountField: 'descendantCount',
+      });
+
+      return mongoose.model(modelName, CountedLocationSchema);
+    };
+
+    const createCountedLocations = async (Model) => {
+      await Model.deleteMany({});
+
+      const a = new Model({ _id: 'a', name: 'A' });
+      const b = new Model({ _id: 'b', name: 'B', [PARENT]: a });
+      const c = new Model({ _id: 'c', name: 'C', [PARENT]: b });
+      const d = new Model({ _id: 'd', name: 'D', [PARENT]: c });
+      const e = new Model({ _id: 'e', name: 'E', [PARENT]: a });
+      const f = new Model({ _id: 'f', name: 'F' });
+
+      for (const location of [a, b, c, d, e, f]) {
+        await location.save();
+      }
+    };
+
+    const getCounts = async (Model) => {
+      const locations = await Model.find({});
+
+      return locations.reduce((result, location) => {
+        result[
+          location.name
+        ] = `${location.childCount}/${location.descendantCount}`;
+        return result;
+      }, {});
+    };
+
+    before(() => {
+      CountedLocation = createCountedModel('CountedLocation', 'REPARENT');
+      CascadeCountedLocation = createCountedModel(
+        'CascadeCountedLocation',
+        'DELETE'
+      );
+    });
+
+    beforeEach(async () => {
+      await createCountedLocations(CountedLocation);
+      await createCountedLocations(CascadeCountedLocation);
+    });
+
+    after(async () => {
+      await CountedLocation.deleteMany({});
+      await CascadeCountedLocation.deleteMany({});
+    });
+
+    it('should count children and descendants of saved documents', async () => {
+      (await getCounts(CountedLocation)).should.eql({
+        A: '2/4',
+        B: '1/2',
+        C: '1/1',
+        D: '0/0',
+        E: '0/0',
+        F: '0/0',
+      });
+    });
+
+    it('should update counts when moving a subtree to another tree', async () => {
+      const c = await CountedLocation.findById('c');
+      c[PARENT] = 'f';
+      await c.save();
+
+      (await getCounts(CountedLocation)).should.eql({
+        A: '2/2',
+        B: '0/0',
+        C: '1/1',
+        D: '0/0',
+        E: '0/0',
+        F: '1/2',
+      });
+    });
+
+    it('should update counts when moving a subtree within a tree', async () => {
+      await CountedLocation.moveSubtree('c', 'e');
+
+      (await getCounts(CountedLocation)).should.eql({
+        A: '2/4',
+        B: '0/0',
+        C: '1/1',
+        D: '0/0',
+        E: '1/2',
+        F: '0/0',
+      });
+    });
+
+    it('should update counts using update queries', async () => {
+      await CountedLocation.updateOne(
+        { _id: 'b' },
+        { $set: { [PARENT]: 'f' } }
+      );
+
+      (await getCounts(CountedLocation)).should.eql({
+        A: '1/1',
+        B: '1/2',
+        C: '1/1',
+        D: '0/0',
+        E: '0/0',
+        F: '1/3',
+      });
+    });
+
+    it('should update counts when removing documents (REPARENT)', async () => {
+      const b = await CountedLocation.findById('b');
+      await b.deleteOne();
+
+      (await getCounts(CountedLocation)).should.eql({
+        A: '2/3',
+        C: '1/1',
+        D: '0/0',
+        E: '0/0',
+        F: '0/0',
+      });
+    });
+
+    it('should update counts when removing nested documents (REPARENT)', async () => {
+      await CountedLocation.deleteMany({ _id: { $in: ['b', 'c'] } });
+
+      (await getCounts(CountedLocation)).should.eql({
+        A: '2/2',
+        D: '0/0',
+        E: '0/0',
+        F: '0/0',
+      });
+    });
+
+    it('should update counts when removing documents (DELETE)', async () => {
+      await CascadeCountedLocation.deleteOne({ _id: 'b' });
+
+      (await getCounts(CascadeCountedLocation)).should.eql({
+        A: '1/1',
+        E: '0/0',
+        F: '0/0',
+      });
+    });
+
+    it('should recountTree()', async () => {
+      await CountedLocation.collection.updateMany(
+        {},
+        { $set: { childCount: 9, descendantCount: 9 } }
+      );
+
+      const summary = await CountedLocation.recountTree();
+      summary.updated.should.equal(6);
+
+      (await getCounts(CountedLocation)).should.eql({
+        A: '2/4',
+        B: '1/2',
+        C: '1/1',
+        D: '0/0',
+        E: '0/0',
+        F: '0/0',
+      });
+    });
+  });
+
+  describe('aggregateSubtree()', () => {
+    let RollupLocation;
+
+    /*
+    Sample locations (pathSeparator '/', items)
+    --------------------------
+    a       1
+      b     2
+        c   4
+      d     8
+    e      16
+    */
+
+    before(async () => {
+      const RollupLocationSchema = new mongoose.Schema({
+        _id: String,
+        items: Number,
+      });
+      RollupLocationSchema.plugin(MpathPlugin, {
+        ...fieldOptions,
+        modelName: 'RollupLocation',
+        idType: String,
+        pathSeparator: '/',
+      });
+      RollupLocation = mongoose.model('RollupLocation', RollupLocationSchema);
+
+      await RollupLocation.deleteMany({});
+
+      for (const [_id, parent, items] of [
+        ['a', null, 1],
+        ['b', 'a', 2],
+        ['c', 'b', 4],
+        ['d', 'a', 8],
+        ['e', null, 16],
+      ]) {
+        await new RollupLocation({ _id, [PARENT]: parent, items }).save();
+      }
+    });
+
+    after(async () => await RollupLocation.deleteMany({}));
+
+    it('should sum a field over all trees', async () => {
+      const values = await RollupLocation.aggregateSubtree(null, {
+        field: 'items',
+        op: 'sum',
+      });
+
+      values.should.eql({ a: 15, b: 6, c: 4, d: 8, e: 16 });
+    });
+
+    it('should sum a field over a subtree', async () => {
+      const values = await RollupLocation.aggregateSubtree('b', {
+        field: 'items',
+        op: 'sum',
+      });
+
+      values.should.eql({ b: 6, c: 4 });
+    });
+
+    it('should count documents', async () => {
+      const values = await RollupLocation.aggregateSubtree(null, {
+        op: 'count',
+      });
+
+      values.should.eql({ a: 4, b: 2, c: 1, d: 1, e: 1 });
+    });
+
+    it('should get min, max and avg', async () => {
+      const rollup = (op) =>
+        RollupLocation.aggregateSubtree('a', { field: 'items', op });
+
+      (await rollup('min')).should.eql({ a: 1, b: 2, c: 4, d: 8 });
+      (await rollup('max')).should.eql({ a: 8, b: 4, c: 4, d: 8 });
+      (await rollup('avg')).should.eql({ a: 3.75, b: 3, c: 4, d: 8 });
+    });
+
+    it('should reject invalid operators', async () => {
+      const error = await expectRejection(
+        RollupLocation.aggregateSubtree(null, {
+          field: 'items',
+          op: 'median',
+        })
+      );
+
+      error.should.be.an.instanceof(MpathPlugin.errors.MpathError);
+    });
+  });
+
+  describe('position path encoding', () => {
+    let PositionLocation;
+    let root;
+    let zulu;
+    let alpha;
+    let mike;
+
+    const getPaths = async () => {
+      const locations = await PositionLocation.find({}).sort({ [PATH]: 1 });
+      return locations.map((location) => `${location.name}:${location[PATH]}`);
+    };
+
+    before(() => {
+      const PositionLocationSchema = new mongoose.Schema({
+        _id: String,
+        name: String,
+      });
+      PositionLocationSchema.plugin(MpathPlugin, {
+        ...fieldOptions,
+        modelName: 'PositionLocation',
+        idType: String,
+        pathEncoding: 'POSITION',
+        pathSegmentWidth: 3,
+        descendantCountField: 'descendantCount',
+      });
+      PositionLocation = mongoose.model(
+        'PositionLocation',
+        PositionLocationSchema
+      );
+    });
+
+    beforeEach(async () => {
+      await PositionLocation.deleteMany({});
+
+      root = new PositionLocation({ _id: 'r', name: 'Root' });
+      zulu = new PositionLocation({ _id: 'z', name: 'Zulu', [PARENT]: root });
+      alpha = new PositionLocation({ _id: 'a', name: 'Alpha', [PARENT]: root });
+      mike = new PositionLocation({ _id: 'm', name: 'Mike', [PARENT]: zulu });
+
+      for (const location of [root, zulu, alpha, mike]) {
+        await location.save();
+      }
+    });
+
+    after(async () => await PositionLocation.deleteMany({}));
+
+    it('should encode sibling positions in fixed width segments', async () => {
+      (await getPaths()).should.eql([
+        'Root:000',
+        'Zulu:000#000',
+        'Mike:000#000#000',
+        'Alpha:000#001',
+      ]);
+      mike[LEVEL].should.equal(3);
+    });
+
+    it('should return the tree in insertion order', async () => {
+      const tree = await PositionLocation.getChildrenTree();
+
+      _.map(tree[0][CHILDREN], 'name').should.eql(['Zulu', 'Alpha']);
+      tree[0][CHILDREN][0][CHILDREN][0].name.should.equal('Mike');
+    });
+
+    it('should get ancestors by path', async () => {
+      const ancestors = await mike.getAncestors({});
+      _.map(ancestors, '_id').should.eql(['r', 'z']);
+    });
+
+    it('should append moved documents to their new siblings', async () => {
+      const summary = await zulu.moveTo(alpha);
+
+      summary.should.eql({
+        moved: true,
+        descendantsUpdated: 1,
+        oldPath: '000#000',
+        newPath: '000#001#000',
+      });
+
+      (await getPaths()).should.eql([
+        'Root:000',
+        'Alpha:000#001',
+        'Zulu:000#001#000',
+        'Mike:000#001#000#000',
+      ]);
+
+      const location = await PositionLocation.findById('a');
+      location.descendantCount.should.equal(2);
+    });
+
+    it('should reject moving a document below its descendants', async () => {
+      zulu[PARENT] = mike;
+
+      const error = await expectRejection(zulu.save());
+
+      error.should.be.an.instanceof(MpathPlugin.errors.CycleError);
+    });
+
+    it('should rebuild positions taken by other stale paths', async () => {
+      // Alpha holds the path Mike should get back
+      await PositionLocation.collection.updateOne(
+        { _id: 'm' },
+        { $unset: { [PATH]: '' } }
+      );
+      await PositionLocation.collection.updateOne(
+        { _id: 'a' },
+        { $set: { [PATH]: '000#000#000' } }
+      );
+
+      await PositionLocation.rebuildPaths();
+
+      (await PositionLocation.verifyTree()).valid.should.equal(true);
+    });
+
+    it('should keep positions when rebuilding paths', async () => {
+      await PositionLocation.collection.updateOne(
+        { _id: 'm' },
+        { $unset: { [PATH]: '' } }
+      );
+
+      const summary = await PositionLocation.rebuildPaths({ dryRun: true });
+      summary.changes.should.eql([
+        { _id: 'm', oldPath: undefined, newPath: '000#000#000' },
+      ]);
+
+      await PositionLocation.collection.updateOne(
+        { _id: 'm' },
+        { $set: { [PATH]: '000#000#000' } }
+      );
+      (await PositionLocation.verifyTree()).valid.should.equal(true);
+    });
+
+    it('should roll up values keyed by id', async () => {
+      const values = await PositionLocation.aggregateSubtree(null, {
+        op: 'count',
+      });
+
+      values.should.eql({ r: 4, z: 2, a: 1, m: 1 });
+    });
+
+    it('should throw if ancestorsField is set', () => {
+      const init = () => {
+        const InvalidSchema = new mongoose.Schema({ name: String });
+        InvalidSchema.plugin(MpathPlugin, {
+          ...fieldOptions,
+          modelName: 'InvalidPositionLocation',
+          pathEncoding: 'POSITION',
+          ancestorsField: 'ancestors',
+        });
+      };
+
+      should.Throw(
+        () => init(),
+        Error,
+        'Invalid mpath options - "ancestorsField" cannot be used'
+      );
+    });
+
+    it('should throw if orderField is set', () => {
+      const init = () => {
+        const InvalidSchema = new mongoose.Schema({ name: String });
+        InvalidSchema.plugin(MpathPlugin, {
+          ...fieldOptions,
+          modelName: 'InvalidPositionLocation',
+          pathEncoding: 'POSITION',
+          orderField: 'position',
+        });
+      };
+
+      should.Throw(
+        () => init(),
+        Error,
+        'Invalid mpath options - "orderField" cannot be used'
+      );
+    });
+
+    it('should never give siblings saved at the same time the same path', async () => {
+      await PositionLocation.init();
+
+      await Promise.allSettled([
+        new PositionLocation({
+          _id: 'b',
+          name: 'Bravo',
+          [PARENT]: root,
+        }).save(),
+        new PositionLocation({
+          _id: 'c',
+          name: 'Charlie',
+          [PARENT]: root,
+        }).save(),
+      ]);
+
+      const paths = (await PositionLocation.find({})).map(
+        (location) => location[PATH]
+      );
+      _.uniq(paths).should.eql(paths);
+    });
+  });
+
+  describe('padded path encoding', () => {
+    let PaddedLocation;
+
+    before(() => {
+      const PaddedLocationSchema = new mongoose.Schema({
+        _id: Number,
+        name: String,
+      });
+      PaddedLocationSchema.plugin(MpathPlugin, {
+        ...fieldOptions,
+        modelName: 'PaddedLocation',
+        idType: Number,
+        pathEncoding: 'PADDED',
+        pathSegmentWidth: 4,
+      });
+      PaddedLocation = mongoose.model('PaddedLocation', PaddedLocationSchema);
+    });
+
+    beforeEach(async () => {
+      await PaddedLocation.deleteMany({});
+
+      const root = new PaddedLocation({ _id: 100, name: 'Root' });
+      const ten = new PaddedLocation({ _id: 10, name: 'Ten', [PARENT]: root });
+      const nine = new PaddedLocation({ _id: 9, name: 'Nine', [PARENT]: root });
+      const child = new PaddedLocation({
+        _id: 11,
+        name: 'Child',
+        [PARENT]: nine,
+      });
+
+      for (const location of [root, ten, nine, child]) {
+        await location.save();
+      }
+    });
+
+    after(async () => await PaddedLocation.deleteMany({}));
+
+    it('should sort paths in numeric id order', async () => {
+      const locations = await PaddedLocation.find({}).sort({ [PATH]: 1 });
+
+      _.map(locations, PATH).should.eql([
+        '0100',
+        '0100#0009',
+        '0100#0009#0011',
+        '0100#0010',
+      ]);
+    });
+
+    it('should get ancestors', async () => {
+      const child = await PaddedLocation.findById(11);
+      const ancestors = await child.getAncestors({});
+
+      _.map(ancestors, '_id').should.eql([100, 9]);
+    });
+
+    it('should reject ids exceeding the segment width', async () => {
+      const error = await expectRejection(
+        new PaddedLocation({ _id: 12345, name: 'Wide' }).save()
+      );
+
+      error.should.be.an.instanceof(MpathPlugin.errors.MpathError);
+    });
+
+    it('should verify the tree', async () => {
+      (await PaddedLocation.verifyTree()).valid.should.equal(true);
+    });
+  });
+
+  describe('token path segments', () => {
+    let TokenLocation;
+    let a;
+    let b;
+    let c;
+
+    before(() => {
+      const TokenLocationSchema = new mongoose.Schema({ name: String });
+      TokenLocationSchema.plugin(MpathPlugin, {
+        ...fieldOptions,
+        modelName: 'TokenLocation',
+        pathSegment: 'TOKEN',
+      });
+      TokenLocation = mongoose.model('TokenLocation', TokenLocationSchema);
+    });
+
+    beforeEach(async () => {
+      await TokenLocation.deleteMany({});
+      await mongoose.connection.collection('mpath_counters').deleteMany({});
+
+      a = new TokenLocation({ name: 'A' });
+      b = new TokenLocation({ name: 'B', [PARENT]: a });
+      c = new TokenLocation({ name: 'C', [PARENT]: b });
+
+      for (const location of [a, b, c]) {
+        await location.save();
+      }
+    });
+
+    after(async () => await TokenLocation.deleteMany({}));
+
+    it('should store tokens instead of ids in paths', () => {
+      a[PATH].should.equal('1');
+      b[PATH].should.equal('1#2');
+      c[PATH].should.equal('1#2#3');
+      c.pathToken.should.equal('3');
+      c[LEVEL].should.equal(3);
+    });
+
+    it('should resolve tokens to ancestors', async () => {
+      const ancestors = await c.getAncestors({});
+
+      _.map(ancestors, 'name').should.eql(['A', 'B']);
+    });
+
+    it('should keep tokens when moving documents', async () => {
+      await c.moveTo(a);
+      c[PATH].should.equal('1#3');
+
+      await TokenLocation.updateOne(
+        { _id: b._id },
+        { $unset: { [PARENT]: 1 } }
+      );
+
+      const location = await TokenLocation.findById(b._id);
+      location[PATH].should.equal('2');
+    });
+
+    it('should assign tokens when rebuilding id paths', async () => {
+      await TokenLocation.collection.updateOne(
+        { _id: a._id },
+        { $set: { [PATH]: a._id.toString() }, $unset: { pathToken: '' } }
+      );
+      await TokenLocation.collection.updateOne(
+        { _id: b._id },
+        {
+          $set: { [PATH]: `${a._id}#${b._id}` },
+          $unset: { pathToken: '' },
+        }
+      );
+
+      (await TokenLocation.verifyTree()).valid.should.equal(false);
+
+      const summary = await TokenLocation.rebuildPaths();
+      summary.updated.should.equal(3);
+
+      const locations = await TokenLocation.find({}).sort({ [PATH]: 1 });
+      _.map(locations, PATH).should.eql(['4', '4#5', '4#5#3']);
+      (await TokenLocation.verifyTree()).valid.should.equal(true);
+    });
+
+    it('should throw if combined with an encoding', () => {
+      const init = () => {
+        const InvalidSchema = new mongoose.Schema({ _id: Number });
+        InvalidSchema.plugin(MpathPlugin, {
+          ...fieldOptions,
+          modelName: 'InvalidTokenLocation',
+          idType: Number,
+          pathEncoding: 'PADDED',
+          pathSegment: 'TOKEN',
+        });
+      };
+
+      should.Throw(
+        () => init(),
+        Error,
+        'Invalid mpath options - "pathSegment" \'TOKEN\' requires'
+      );
+    });
+  });
+
+  describe('maxDepth and maxChildren', () => {
+    let LimitedLocation;
+    let a;
+    let b;
+    let c;
+    let d;
+    let e;
+
+    before(() => {
+      const LimitedLocationSchema = new mongoose.Schema({
+        _id: String,
+        name: String,
+      });
+      LimitedLocationSchema.plugin(MpathPlugin, {
+        ...fieldOptions,
+        modelName: 'LimitedLocation',
+        idType: String,
+        maxDepth: 3,
+        maxChildren: (parent) => (parent._id === 'a' ? 3 : 2),
+      });
+      LimitedLocation = mongoose.model(
+        'LimitedLocation',
+        LimitedLocationSchema
+      );
+    });
+
+    /*
+    a
+     - b
+       -- c
+     - d
+    e
+    */
+    beforeEach(async () => {
+      await LimitedLocation.deleteMany({});
+
+      a = new LimitedLocation({ _id: 'a', name: 'A' });
+      b = new LimitedLocation({ _id: 'b', name: 'B', [PARENT]: a });
+      c = new LimitedLocation({ _id: 'c', name: 'C', [PARENT]: b });
+      d = new LimitedLocation({ _id: 'd', name: 'D', [PARENT]: a });
+      e = new LimitedLocation({ _id: 'e', name: 'E' });
+
+      for (const location of [a, b, c, d, e]) {
+        await location.save();
+      }
+    });
+
+    after(async () => await LimitedLocation.deleteMany({}));
+
+    it('should reject creating documents below the maximum depth', async () => {
+      const error = await expectRejection(
+        new LimitedLocation({ _id: 'f', name: 'F', [PARENT]: c }).save()
+      );
+
+      error.should.be.an.instanceof(mongoose.Error.ValidationError);
+      error.errors[PARENT].message.should.equal(
+        'Invalid mpath parent - the maximum depth of 3 levels is exceeded.'
+      );
+      should.not.exist(await LimitedLocation.findById('f'));
+    });
+
+    it('should reject moving subtrees below the maximum depth', async () => {
+      await new LimitedLocation({ _id: 'f', name: 'F', [PARENT]: e }).save();
+
+      // b has one level below it, d + b + c would be 4 levels
+      b[PARENT] = d;
+      await expectRejection(b.save());
+
+      const location = await LimitedLocation.findById('c');
+      location[PATH].should.equal('a#b#c');
+
+      // c is a leaf, e + f + c are 3 levels
+      await c.moveTo(await LimitedLocation.findById('f'));
+      c[PATH].should.equal('e#f#c');
+    });
+
+    it('should reject a descendant as parent before checking the maximum depth', async () => {
+      // c + a + b + c would be 4 levels
+      a[PARENT] = c;
+
+      const error = await expectRejection(a.save());
+
+      error.should.be.an.instanceof(MpathPlugin.errors.CycleError);
+      (await LimitedLocation.findById('c'))[PATH].should.equal('a#b#c');
+    });
+
+    it('should reject exceeding the maximum number of children', async () => {
+      await new LimitedLocation({ _id: 'f', name: 'F', [PARENT]: a }).save();
+
+      const error = await expectRejection(
+        new LimitedLocation({ _id: 'g', name: 'G', [PARENT]: a }).save()
+      );
+      error.errors[PARENT].message.should.equal(
+        'Invalid mpath parent - the maximum of 3 children is exceeded.'
+      );
+
+      await new LimitedLocation({ _id: 'g', name: 'G', [PARENT]: b }).save();
+
+      c[PARENT] = e;
+      await c.save();
+
+      d[PARENT] = b;
+      await d.save();
+
+      const h = new LimitedLocation({ _id: 'h', name: 'H', [PARENT]: b });
+      (await expectRejection(h.save())).errors[PARENT].message.should.equal(
+        'Invalid mpath parent - the maximum of 2 children is exceeded.'
+      );
+    });
+
+    it('should reject moves by update queries exceeding the limits', async () => {
+      const depthError = await expectRejection(
+        LimitedLocation.updateOne({ _id: 'e' }, { [PARENT]: 'c' })
+      );
+      depthError.should.be.an.instanceof(MpathPlugin.errors.MpathError);
+      depthError.message.should.equal(
+        'Invalid mpath parent - the maximum depth of 3 levels is exceeded.'
+      );
+
+      await new LimitedLocation({ _id: 'f', name: 'F' }).save();
+
+      const childrenError = await expectRejection(
+        LimitedLocation.updateMany(
+          { _id: { $in: ['e', 'f'] } },
+          { [PARENT]: 'a' }
+        )
+      );
+      childrenError.message.should.equal(
+        'Invalid mpath parent - the maximum of 3 children is exceeded.'
+      );
+
+      const locations = await LimitedLocation.find({ [PARENT]: 'a' });
+      _.map(locations, '_id').sort().should.eql(['b', 'd']);
+    });
+
+    it('should reparent children beyond the limits when deleting', async () => {
+      await new LimitedLocation({ _id: 'f', name: 'F', [PARENT]: a }).save();
+      await new LimitedLocation({ _id: 'g', name: 'G', [PARENT]: b }).save();
+
+      await b.remove();
+
+      const locations = await LimitedLocation.find({ [PARENT]: 'a' });
+      _.map(locations, '_id').sort().should.eql(['c', 'd', 'f', 'g']);
+      (await LimitedLocation.findById('c'))[PATH].should.equal('a#c');
+      should.not.exist(await LimitedLocation.findById('b'));
+    });
+  });
+
+  describe('parent validation', () => {
+    let TenantLocation;
+
+    before(() => {
+      const TenantLocationSchema = new mongoose.Schema({
+        _id: String,
+        name: String,
+        tenantId: String,
+        deleted: Boolean,
+      });
+      TenantLocationSchema.plugin(MpathPlugin, {
+        ...fieldOptions,
+        modelName: 'TenantLocation',
+        idType: String,
+        parentConditions: (doc) => ({
+          tenantId: doc.tenantId,
+          deleted: { $ne: true },
+        }),
+      });
+      TenantLocation = mongoose.model('TenantLocation', TenantLocationSchema);
+    });
+
+    beforeEach(async () => {
+      await TenantLocation.deleteMany({});
+      await TenantLocation.create([
+        { _id: 'a', name: 'A', tenantId: 't1' },
+        { _id: 'b', name: 'B', tenantId: 't2' },
+        { _id: 'c', name: 'C', tenantId: 't1', deleted: true },
+      ]);
+    });
+
+    after(async () => await TenantLocation.deleteMany({}));
+
+    it('should reject a missing parent', async () => {
+      const error = await expectRejection(
+        new Location({ _id: 'x', name: 'X', [PARENT]: 'missing' }).save()
+      );
+
+      error.should.be.an.instanceof(mongoose.Error.ValidationError);
+      error.errors[PARENT].message.should.equal(
+        'Invalid mpath parent - parent not found.'
+      );
+      should.not.exist(await Location.findById('x'));
+    });
+
+    it('should reject a missing parent without validation', async () => {
+      const error = await expectRejection(
+        new Location({ _id: 'x', name: 'X', [PARENT]: 'missing' }).save({
+          validateBeforeSave: false,
+        })
+      );
+
+      error.should.be.an.instanceof(MpathPlugin.errors.MpathError);
+    });
+
+    it('should reject parents not matching parentConditions', async () => {
+      for (const parent of ['b', 'c']) {
+        const error = await expectRejection(
+          new TenantLocation({
+            _id: 'x',
+            name: 'X',
+            tenantId: 't1',
+            [PARENT]: parent,
+          }).save()
+        );
+
+        error.errors[PARENT].message.should.equal(
+          'Invalid mpath parent - parent not found.'
+        );
+      }
+
+      const location = new TenantLocation({
+        _id: 'x',
+        name: 'X',
+        tenantId: 't1',
+        [PARENT]: 'a',
+      });
+      await location.save();
+      location[PATH].should.equal('a#x');
+    });
+
+    it('should reject parents not matching parentConditions using update queries', async () => {
+      await new TenantLocation({ _id: 'x', name: 'X', tenantId: 't1' }).save();
+
+      for (const parent of ['b', 'c']) {
+        const error = await expectRejection(
+          TenantLocation.updateOne({ _id: 'x' }, { [PARENT]: parent })
+        );
+
+        error.message.should.equal(
+          'Invalid mpath parent - parent does not exist.'
+        );
+      }
+
+      await TenantLocation.updateOne({ _id: 'x' }, { [PARENT]: 'a' });
+      (await TenantLocation.findById('x'))[PATH].should.equal('a#x');
+    });
+  });
+
+  describe('scoped trees', () => {
+    let ScopedLocation;
+
+    before(() => {
+      const ScopedLocationSchema = new mongoose.Schema({
+        _id: String,
+        name: String,
+        tenantId: String,
+      });
+      ScopedLocationSchema.plugin(MpathPlugin, {
+        ...fieldOptions,
+        modelName: 'ScopedLocation',
+        idType: String,
+        scope: 'tenantId',
+      });
+      ScopedLocation = mongoose.model('ScopedLocation', ScopedLocationSchema);
+    });
+
+    beforeEach(async () => {
+      await ScopedLocation.deleteMany({});
+
+      for (const location of [
+        { _id: 'a', name: 'A', tenantId: 't1' },
+        { _id: 'b', name: 'B', tenantId: 't1', [PARENT]: 'a' },
+        { _id: 'c', name: 'C', tenantId: 't1', [PARENT]: 'b' },
+        { _id: 'd', name: 'D', tenantId: 't1' },
+        { _id: 'e', name: 'E', tenantId: 't2' },
+      ]) {
+        await new ScopedLocation(location).save();
+      }
+    });
+
+    after(async () => await ScopedLocation.deleteMany({}));
+
+    it('should reject scope fields missing from the schema', () => {
+      const init = () =>
+        new mongoose.Schema({ name: String }).plugin(MpathPlugin, {
+          ...fieldOptions,
+          modelName: 'Invalid',
+          scope: 'tenantId',
+        });
+
+      should.Throw(
+        init,
+        Error,
+        'Invalid mpath options - "scope" field "tenantId" is not defined in the schema.'
+      );
     });
 
-    it('static method - args', async () => {
-      const args = {
-        fields: '_id name parent path',
-        options: { lean: true },
-      };
+    it('should reject parents in another scope', async () => {
+      const error = await expectRejection(
+        new ScopedLocation({
+          _id: 'x',
+          name: 'X',
+          tenantId: 't2',
+          [PARENT]: 'a',
+        }).save()
+      );
 
-      const expectedTree = [
-        {
-          _id: 'af',
-          name: 'Africa',
-          path: 'af',
-          children: [],
-        },
-        {
-          _id: 'eu',
-          name: 'Europe',
-          path: 'eu',
-          children: [
-            {
-              _id: 'no',
+      error.should.be.an.instanceof(mongoose.Error.ValidationError);
+      error.errors[PARENT].message.should.equal(
+        'Invalid mpath parent - the parent belongs to another scope.'
+      );
+    });
 
-              name: 'Norway',
-              parent: 'eu',
-              path: 'eu#no',
-              children: [],
-            },
-            {
-              _id: 'se',
-              name: 'Sweden',
-              parent: 'eu',
-              path: 'eu#se',
-              children: [
-                {
-                  _id: 'sthlm',
-                  name: 'Stockholm',
-                  parent: 'se',
-                  path: 'eu#se#sthlm',
-                  children: [
-                    {
-                      _id: 'skansen',
-                      children: [],
-                      name: 'Skansen',
-                      parent: 'sthlm',
-                      path: 'eu#se#sthlm#skansen',
-                    },
-                  ],
-                },
-              ],
-            },
-          ],
-        },
-      ];
+    it('should reject parents in another scope using update queries', async () => {
+      const error = await expectRejection(
+        ScopedLocation.updateOne({ _id: 'e' }, { [PARENT]: 'a' })
+      );
 
-      const locationTree = await Location.getChildrenTree(args);
-      locationTree.should.eql(expectedTree);
+      error.should.be.an.instanceof(MpathPlugin.errors.MpathError);
+      error.message.should.equal(
+        'Invalid mpath parent - the parent belongs to another scope.'
+      );
+      should.not.exist((await ScopedLocation.findById('e'))[PARENT]);
+
+      await expectRejection(
+        ScopedLocation.bulkWrite([
+          { updateOne: { filter: { _id: 'e' }, update: { [PARENT]: 'a' } } },
+        ])
+      );
+      should.not.exist((await ScopedLocation.findById('e'))[PARENT]);
     });
 
-    it('includes path and parent fields', async () => {
-      const args = {
-        fields: '_id name',
-        options: { lean: true },
-      };
+    it('should require the scope to list roots', async () => {
+      should.Throw(
+        () => ScopedLocation.getRoots({}),
+        MpathPlugin.errors.MpathError,
+        'Invalid mpath scope - conditions must include the scope field "tenantId".'
+      );
 
-      const expectedTree = [
-        {
-          _id: 'sthlm',
-          children: [
-            {
-              _id: 'skansen',
-              children: [],
-              name: 'Skansen',
-              parent: 'sthlm',
-              path: 'eu#se#sthlm#skansen',
-            },
-          ],
-          name: 'Stockholm',
-          parent: 'se',
-          path: 'eu#se#sthlm',
-        },
-      ];
+      const roots = await ScopedLocation.getRoots({ tenantId: 't1' });
+      roots.map((root) => root._id).should.eql(['a', 'd']);
+    });
 
-      const locationTree = await sweden.getChildrenTree(args);
-      locationTree.should.eql(expectedTree);
+    it('should require the scope to get a children tree', async () => {
+      should.Throw(
+        () => ScopedLocation.getChildrenTree({}),
+        MpathPlugin.errors.MpathError,
+        'Invalid mpath scope'
+      );
+
+      const tree = await ScopedLocation.getChildrenTree({
+        filters: { tenantId: 't2' },
+      });
+      tree.map((node) => node._id).should.eql(['e']);
     });
 
-    it('fields as object', async () => {
-      const args = {
-        fields: { _id: 1, name: 1 },
-        options: { lean: true },
-      };
+    it('should require the scope to verify, rebuild and aggregate trees', async () => {
+      for (const run of [
+        () => ScopedLocation.verifyTree(),
+        () => ScopedLocation.rebuildPaths(),
+        () => ScopedLocation.aggregateSubtree(null, { op: 'count' }),
+      ]) {
+        const error = await expectRejection(run());
+
+        error.should.be.an.instanceof(MpathPlugin.errors.MpathError);
+        error.message.should.equal(
+          'Invalid mpath scope - conditions must include the scope field "tenantId".'
+        );
+      }
 
-      const expectedTree = [
-        {
-          _id: 'sthlm',
-          children: [
-            {
-              _id: 'skansen',
-              children: [],
-              name: 'Skansen',
-              parent: 'sthlm',
-              path: 'eu#se#sthlm#skansen',
-            },
-          ],
-          name: 'Stockholm',
-          parent: 'se',
-          path: 'eu#se#sthlm',
-        },
-      ];
+      // a broken path in another scope is neither reported nor rebuilt
+      await ScopedLocation.collection.updateOne(
+        { _id: 'e' },
+        { $set: { [PATH]: 'x#e' } }
+      );
+      const options = { conditions: { tenantId: 't1' } };
 
-      const locationTree = await sweden.getChildrenTree(args);
-      locationTree.should.eql(expectedTree);
+      (await ScopedLocation.verifyTree(options)).valid.should.equal(true);
+      (await ScopedLocation.rebuildPaths(options)).updated.should.equal(0);
+      (await ScopedLocation.findById('e'))[PATH].should.equal('x#e');
+
+      const values = await ScopedLocation.aggregateSubtree(
+        null,
+        { op: 'count' },
+        options
+      );
+      values.should.eql({ a: 3, b: 2, c: 1, d: 1 });
     });
 
-    describe('options.lean=false should return Mongoose Documents', () => {
-      it('document method', async () => {
-        const args = { fields: { _id: 1, name: 1 }, options: { lean: false } };
+    it('should only return siblings of the same scope', async () => {
+      const root = await ScopedLocation.findById('a');
+      const siblings = await root.getSiblings();
 
-        return sweden.getChildrenTree(args).then((tree) => {
-          tree[0].name.should.eql('Stockholm');
-          tree[0].children[0].name.should.eql('Skansen');
+      siblings.map((sibling) => sibling._id).should.eql(['d']);
+    });
 
-          tree[0].getChildrenTree(args).then((subtree) => {
-            subtree[0].name.should.eql('Skansen');
-          });
-        });
+    it('should order roots within their scope', async () => {
+      const OrderedScopedLocationSchema = new mongoose.Schema({
+        _id: String,
+        name: String,
+        tenantId: String,
+      });
+      OrderedScopedLocationSchema.plugin(MpathPlugin, {
+        ...fieldOptions,
+        modelName: 'OrderedScopedLocation',
+        idType: String,
+        scope: 'tenantId',
+        orderField: 'position',
       });
+      const OrderedScopedLocation = mongoose.model(
+        'OrderedScopedLocation',
+        OrderedScopedLocationSchema
+      );
+      const getRootPositions = async (tenantId) =>
+        (await OrderedScopedLocation.getRoots({ tenantId })).map(
+          (root) => `${root._id}:${root.position}`
+        );
 
-      it('static method', async () => {
-        const args = { fields: { _id: 1, name: 1 }, options: { lean: false } };
+      await OrderedScopedLocation.deleteMany({});
 
-        return Location.getChildrenTree(args).then((tree) => {
-          tree[0].name.should.eql('Africa');
-          tree[1].name.should.eql('Europe');
-          tree[1].children[0].name.should.eql('Norway');
-          tree[1].children[1].name.should.eql('Sweden');
-          tree[1].children[1].children[0].name.should.eql('Stockholm');
-          tree[1].children[1].children[0].children[0].name.should.eql(
-            'Skansen'
-          );
-        });
+      for (const location of [
+        { _id: 'a', tenantId: 't1' },
+        { _id: 'x', tenantId: 't2' },
+        { _id: 'b', tenantId: 't1' },
+        { _id: 'y', tenantId: 't2' },
+        { _id: 'c', tenantId: 't1' },
+      ]) {
+        await new OrderedScopedLocation(location).save();
+      }
+
+      (await getRootPositions('t1')).should.eql(['a:0', 'b:1', 'c:2']);
+      (await getRootPositions('t2')).should.eql(['x:0', 'y:1']);
+
+      await (await OrderedScopedLocation.findById('c')).moveToPosition(0);
+
+      const root = await OrderedScopedLocation.findById('a');
+      root.tenantId = 't2';
+      await root.save();
+
+      await OrderedScopedLocation.updateOne({ _id: 'x' }, { tenantId: 't1' });
+
+      (await getRootPositions('t1')).should.eql(['c:0', 'b:1', 'x:2']);
+      (await getRootPositions('t2')).should.eql(['y:0', 'a:1']);
+
+      await OrderedScopedLocation.deleteMany({});
+    });
+
+    it('should move descendants along to the new scope', async () => {
+      const root = await ScopedLocation.findById('a');
+      root.tenantId = 't2';
+      await root.save();
+
+      const locations = await ScopedLocation.find({ tenantId: 't2' }).sort({
+        _id: 1,
       });
+      locations
+        .map((location) => location._id)
+        .should.eql(['a', 'b', 'c', 'e']);
     });
 
-    it('should filter by minLevel', async () => {
-      const args = {
-        fields: { _id: 1, name: 1 },
-        options: { lean: true },
-        minLevel: 3,
-      };
-      const tree = await Location.getChildrenTree(args);
+    it('should move descendants along to the new scope using update queries', async () => {
+      await ScopedLocation.updateOne({ _id: 'a' }, { tenantId: 't2' });
 
-      tree.should.eql([
-        {
-          _id: 'sthlm',
-          name: 'Stockholm',
-          parent: 'se',
-          path: 'eu#se#sthlm',
-          children: [
-            {
-              _id: 'skansen',
-              children: [],
-              name: 'Skansen',
-              parent: 'sthlm',
-              path: 'eu#se#sthlm#skansen',
-            },
-          ],
-        },
-      ]);
+      const locations = await ScopedLocation.find({ tenantId: 't2' }).sort({
+        _id: 1,
+      });
+      locations
+        .map((location) => location._id)
+        .should.eql(['a', 'b', 'c', 'e']);
     });
 
-    it('should filter by maxLevel', async () => {
-      const args = {
-        fields: { _id: 1, name: 1 },
-        options: { lean: true },
-        maxLevel: 2,
-      };
-      const tree = await Location.getChildrenTree(args);
+    it('should move whole trees to another scope using updateMany()', async () => {
+      await ScopedLocation.updateMany({ tenantId: 't1' }, { tenantId: 't3' });
 
-      tree.should.eql([
-        {
-          _id: 'af',
-          name: 'Africa',
-          path: 'af',
-          children: [],
-        },
-        {
-          _id: 'eu',
-          name: 'Europe',
-          path: 'eu',
-          children: [
-            {
-              _id: 'no',
+      (await ScopedLocation.countDocuments({ tenantId: 't3' })).should.equal(4);
+    });
 
-              name: 'Norway',
-              parent: 'eu',
-              path: 'eu#no',
-              children: [],
-            },
-            {
-              _id: 'se',
-              name: 'Sweden',
-              parent: 'eu',
-              path: 'eu#se',
-              children: [],
-            },
-          ],
-        },
-      ]);
+    it('should reject scope changes leaving the parent scope using update queries', async () => {
+      const error = await expectRejection(
+        ScopedLocation.updateOne({ _id: 'b' }, { $set: { tenantId: 't2' } })
+      );
+
+      error.should.be.an.instanceof(MpathPlugin.errors.MpathError);
+      error.message.should.equal(
+        'Invalid mpath scope - the parent belongs to another scope.'
+      );
+      (await ScopedLocation.findById('b')).tenantId.should.equal('t1');
     });
 
-    it('should filter by minLevel and maxLevel', async () => {
-      const args = {
-        fields: { _id: 1, name: 1 },
-        options: { lean: true },
-        minLevel: 2,
-        maxLevel: 2,
-      };
-      const tree = await Location.getChildrenTree(args);
+    it('should reject scope changes leaving the parent scope', async () => {
+      const location = await ScopedLocation.findById('b');
+      location.tenantId = 't2';
 
-      tree.should.eql([
-        {
-          _id: 'no',
+      const error = await expectRejection(location.save());
 
-          name: 'Norway',
-          parent: 'eu',
-          path: 'eu#no',
-          children: [],
-        },
-        {
-          _id: 'se',
-          name: 'Sweden',
-          parent: 'eu',
-          path: 'eu#se',
-          children: [],
-        },
-      ]);
+      error.should.be.an.instanceof(mongoose.Error.ValidationError);
+      error.errors.tenantId.message.should.equal(
+        'Invalid mpath scope - the parent belongs to another scope.'
+      );
     });
 
-    describe('should sort', () => {
-      it('ASC', async () => {
-        const args = {
-          filters: { parent: 'eu' },
-          fields: { _id: 1, name: 1 },
-          options: {
-            lean: true,
-            sort: { name: 1 },
-          },
-        };
-        const tree = await Location.getChildrenTree(args);
-
-        tree.should.eql([
-          {
-            _id: 'no',
-            name: 'Norway',
-            parent: 'eu',
-            path: 'eu#no',
-            children: [],
-          },
-          {
-            _id: 'se',
-            name: 'Sweden',
-            parent: 'eu',
-            path: 'eu#se',
-            children: [],
-          },
-        ]);
+    it('should reject scope changes of subtrees with onScopeChange REJECT', async () => {
+      const StrictScopedLocationSchema = new mongoose.Schema({
+        _id: String,
+        name: String,
+        tenantId: String,
       });
+      StrictScopedLocationSchema.plugin(MpathPlugin, {
+        ...fieldOptions,
+        modelName: 'ScopedLocation',
+        idType: String,
+        scope: 'tenantId',
+        onScopeChange: 'REJECT',
+      });
+      const StrictScopedLocation = mongoose.model(
+        'StrictScopedLocation',
+        StrictScopedLocationSchema,
+        ScopedLocation.collection.collectionName
+      );
 
-      it('DESC', async () => {
-        const args = {
-          filters: { parent: 'eu' },
-          fields: { _id: 1, name: 1 },
-          options: {
-            lean: true,
-            sort: { name: -1 },
-          },
-        };
-        const tree = await Location.getChildrenTree(args);
+      const root = await StrictScopedLocation.findById('a');
+      root.tenantId = 't2';
 
-        tree.should.eql([
-          {
-            _id: 'se',
-            name: 'Sweden',
-            parent: 'eu',
-            path: 'eu#se',
-            children: [],
-          },
-          {
-            _id: 'no',
-            name: 'Norway',
-            parent: 'eu',
-            path: 'eu#no',
-            children: [],
-          },
-        ]);
-      });
+      const error = await expectRejection(root.save());
+
+      error.errors.tenantId.message.should.equal(
+        'Invalid mpath scope - documents with descendants cannot change scope.'
+      );
+
+      const leaf = await StrictScopedLocation.findById('d');
+      leaf.tenantId = 't2';
+      await leaf.save();
+      (await StrictScopedLocation.findById('d')).tenantId.should.equal('t2');
     });
   });
 
   describe('find() using populate()', () => {
     it('should populate', async () => {
       const sthlm = await Location.findOne({ name: 'Stockholm' }).populate(
-        'parent'
+        PARENT
       );
       sthlm.name.should.eql('Stockholm');
-      sthlm.parent.name.should.eql('Sweden');
+      sthlm[PARENT].name.should.eql('Sweden');
     });
   });
 
@@ -1064,20 +3903,20 @@ describe('mpath plugin', () => {
     describe('should createTree', () => {
       it('default options', () => {
         const nodes = [
-          { _id: 'eu', name: 'Europe', parent: '', path: 'eu' },
-          { _id: 'no', name: 'Norway', parent: 'eu', path: 'eu#no' },
-          { _id: 'se', name: 'Sweden', parent: 'eu', path: 'eu#se' },
+          { _id: 'eu', name: 'Europe', [PARENT]: '', [PATH]: 'eu' },
+          { _id: 'no', name: 'Norway', [PARENT]: 'eu', [PATH]: 'eu#no' },
+          { _id: 'se', name: 'Sweden', [PARENT]: 'eu', [PATH]: 'eu#se' },
           {
             _id: 'sthlm',
             name: 'Stockholm',
-            parent: 'se',
-            path: 'eu#se#sthlm',
+            [PARENT]: 'se',
+            [PATH]: 'eu#se#sthlm',
           },
           {
             _id: 'skansen',
             name: 'Skansen',
-            parent: 'sthlm',
-            path: 'eu#se#sthlm#skansen',
+            [PARENT]: 'sthlm',
+            [PATH]: 'eu#se#sthlm#skansen',
           },
         ];
 
@@ -1085,34 +3924,34 @@ describe('mpath plugin', () => {
           {
             _id: 'eu',
             name: 'Europe',
-            parent: '',
-            path: 'eu',
-            children: [
+            [PARENT]: '',
+            [PATH]: 'eu',
+            [CHILDREN]: [
               {
                 _id: 'no',
                 name: 'Norway',
-                parent: 'eu',
-                path: 'eu#no',
-                children: [],
+                [PARENT]: 'eu',
+                [PATH]: 'eu#no',
+                [CHILDREN]: [],
               },
               {
                 _id: 'se',
                 name: 'Sweden',
-                parent: 'eu',
-                path: 'eu#se',
-                children: [
+                [PARENT]: 'eu',
+                [PATH]: 'eu#se',
+                [CHILDREN]: [
                   {
                     _id: 'sthlm',
                     name: 'Stockholm',
-                    parent: 'se',
-                    path: 'eu#se#sthlm',
-                    children: [
+                    [PARENT]: 'se',
+                    [PATH]: 'eu#se#sthlm',
+                    [CHILDREN]: [
                       {
                         _id: 'skansen',
                         name: 'Skansen',
-                        parent: 'sthlm',
-                        path: 'eu#se#sthlm#skansen',
-                        children: [],
+                        [PARENT]: 'sthlm',
+                        [PATH]: 'eu#se#sthlm#skansen',
+                        [CHILDREN]: [],
                       },
                     ],
                   },
@@ -1122,16 +3961,16 @@ describe('mpath plugin', () => {
           },
         ];
 
-        const result = MpathPlugin.util.listToTree(nodes);
+        const result = MpathPlugin.util.listToTree(nodes, {}, treeFields);
         result.should.eql(expectedTree);
       });
 
       describe('using sort', () => {
         const nodes = [
-          { _id: 'af', name: 'Africa', parent: '', path: 'af' },
-          { _id: 'eu', name: 'Europe', parent: '', path: 'eu' },
-          { _id: 'se', name: 'Sweden', parent: 'eu', path: 'eu#se' },
-          { _id: 'no', name: 'Norway', parent: 'eu', path: 'eu#no' },
+          { _id: 'af', name: 'Africa', [PARENT]: '', [PATH]: 'af' },
+          { _id: 'eu', name: 'Europe', [PARENT]: '', [PATH]: 'eu' },
+          { _id: 'se', name: 'Sweden', [PARENT]: 'eu', [PATH]: 'eu#se' },
+          { _id: 'no', name: 'Norway', [PARENT]: 'eu', [PATH]: 'eu#no' },
         ];
 
         it('ASC', () => {
@@ -1139,35 +3978,39 @@ describe('mpath plugin', () => {
             {
               _id: 'af',
               name: 'Africa',
-              parent: '',
-              path: 'af',
-              children: [],
+              [PARENT]: '',
+              [PATH]: 'af',
+              [CHILDREN]: [],
             },
             {
               _id: 'eu',
               name: 'Europe',
-              parent: '',
-              path: 'eu',
-              children: [
+              [PARENT]: '',
+              [PATH]: 'eu',
+              [CHILDREN]: [
                 {
                   _id: 'no',
                   name: 'Norway',
-                  parent: 'eu',
-                  path: 'eu#no',
-                  children: [],
+                  [PARENT]: 'eu',
+                  [PATH]: 'eu#no',
+                  [CHILDREN]: [],
                 },
                 {
                   _id: 'se',
                   name: 'Sweden',
-                  parent: 'eu',
-                  path: 'eu#se',
-                  children: [],
+                  [PARENT]: 'eu',
+                  [PATH]: 'eu#se',
+                  [CHILDREN]: [],
                 },
               ],
             },
           ];
 
-          const result = MpathPlugin.util.listToTree(nodes, { name: 1 });
+          const result = MpathPlugin.util.listToTree(
+            nodes,
+            { name: 1 },
+            treeFields
+          );
           result.should.eql(expectedTree);
         });
 
@@ -1176,35 +4019,39 @@ describe('mpath plugin', () => {
             {
               _id: 'eu',
               name: 'Europe',
-              parent: '',
-              path: 'eu',
-              children: [
+              [PARENT]: '',
+              [PATH]: 'eu',
+              [CHILDREN]: [
                 {
                   _id: 'se',
                   name: 'Sweden',
-                  parent: 'eu',
-                  path: 'eu#se',
-                  children: [],
+                  [PARENT]: 'eu',
+                  [PATH]: 'eu#se',
+                  [CHILDREN]: [],
                 },
                 {
                   _id: 'no',
                   name: 'Norway',
-                  parent: 'eu',
-                  path: 'eu#no',
-                  children: [],
+                  [PARENT]: 'eu',
+                  [PATH]: 'eu#no',
+                  [CHILDREN]: [],
                 },
               ],
             },
             {
               _id: 'af',
               name: 'Africa',
-              parent: '',
-              path: 'af',
-              children: [],
+              [PARENT]: '',
+              [PATH]: 'af',
+              [CHILDREN]: [],
             },
           ];
 
-          const result = MpathPlugin.util.listToTree(nodes, { name: -1 });
+          const result = MpathPlugin.util.listToTree(
+            nodes,
+            { name: -1 },
+            treeFields
+          );
           result.should.eql(expectedTree);
         });
       });
@@ -1226,4 +4073,19 @@ describe('mpath plugin', () => {
       });
     });
   });
-});
+
+  after(async () => {
+    mongoose.deleteModel(/.*/);
+    await mongoose.disconnect();
+  });
+};
+
+describe('mpath plugin', () => mpathPluginSuite({}));
+
+describe('mpath plugin (renamed fields)', () =>
+  mpathPluginSuite({
+    parentField: 'parentId',
+    pathField: 'treePath',
+    childrenField: 'subtree',
+    levelVirtual: 'depthLevel',
+  }));